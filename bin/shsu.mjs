@@ -1,264 +1,3242 @@
 #!/usr/bin/env node
 
-import { spawn, execSync } from 'node:child_process';
-import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync } from 'node:fs';
-import { join, resolve } from 'node:path';
+import { spawn, spawnSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, openSync, closeSync, statSync, unlinkSync, mkdtempSync, rmSync, watch } from 'node:fs';
+import { tmpdir, userInfo, hostname } from 'node:os';
+import { join, resolve, dirname, basename, relative, sep } from 'node:path';
 import { createInterface } from 'node:readline';
+import { pathToFileURL, fileURLToPath } from 'node:url';
 
 // ─────────────────────────────────────────────────────────────
-// Configuration (package.json + environment variables)
+// Configuration (package.json, config files, .env files + environment variables)
 // ─────────────────────────────────────────────────────────────
-function loadConfig() {
-  let pkgConfig = {};
+// Keys that can also be set through SHSU_* variables (remotePath -> SHSU_REMOTE_PATH)
+const CONFIG_KEYS = ['server', 'remotePath', 'url', 'localPath', 'migrationsPath', 'seedPath', 'edgeContainer', 'dbContainer', 'secretsFile', 'checks', 'keepReleases', 'exclude', 'anonKey', 'serviceRoleKey'];
+// Shown masked by `shsu env` and the config tool
+const SECRET_CONFIG_KEYS = ['anonKey', 'serviceRoleKey'];
+// Supabase's own variable names, used when the key isn't set any other way
+const CONFIG_ENV_ALIASES = { anonKey: 'SUPABASE_ANON_KEY', serviceRoleKey: 'SUPABASE_SERVICE_ROLE_KEY' };
+const envVarName = (key) => `SHSU_${key.replace(/[A-Z]/g, (m) => `_${m}`).toUpperCase()}`;
+
+// Lowest precedence first; later files override earlier ones
+const CONFIG_FILES = ['package.json', 'supabase/shsu.json', 'shsu.config.json'];
+const ENV_FILES = ['.env', '.env.local'];
+
+function readJsonFile(path) {
+  const fullPath = join(process.cwd(), path);
+  if (!existsSync(fullPath)) return null;
+  try {
+    const json = JSON.parse(readFileSync(fullPath, 'utf-8'));
+    return path === 'package.json' ? json.shsu || null : json;
+  } catch (e) {
+    // Ignore parse errors
+    return null;
+  }
+}
+
+// KEY=value lines; supports comments, "export " prefixes and quoted values
+function parseEnv(text) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    // A quoted value may be followed by a comment: KEY="value" # comment
+    const quoted = match[2].match(/^(?:"((?:[^"\\]|\\.)*)"|'([^']*)')\s*(?:#.*)?$/);
+    let value;
+    if (quoted) {
+      value = quoted[1] !== undefined ? quoted[1].replace(/\\(n|"|\\)/g, (_, ch) => (ch === 'n' ? '\n' : ch)) : quoted[2];
+    } else {
+      value = match[2].replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+function parseEnvFile(path) {
+  const fullPath = join(process.cwd(), path);
+  return existsSync(fullPath) ? parseEnv(readFileSync(fullPath, 'utf-8')) : null;
+}
+
+// envName selects a profile from "environments"; values there override the shared top-level keys.
+// Precedence (highest first): environment variables, .env.local, .env, shsu.config.json,
+// supabase/shsu.json, package.json "shsu" key, defaults. `sources` records where each value came from.
+function loadConfig(envName) {
+  const fileLayers = CONFIG_FILES
+    .map((source) => ({ source, values: readJsonFile(source) }))
+    .filter((layer) => layer.values);
+  const envLayers = [
+    ...ENV_FILES.map((source) => ({ source, values: parseEnvFile(source) })).filter((layer) => layer.values),
+    { source: 'environment', values: process.env },
+  ];
+  const envValue = (name) => envLayers.reduce((value, layer) => layer.values[name] || value, undefined);
+
+  const environments = [...new Set(fileLayers.flatMap((layer) => Object.keys(layer.values.environments || {})))];
+  const defaultEnvironment = fileLayers.reduce((value, layer) => layer.values.defaultEnvironment || value, undefined);
+  const environment = envName || envValue('SHSU_ENV') || defaultEnvironment || null;
+  const environmentError = environment && !environments.includes(environment)
+    ? `Unknown environment: ${environment} (available: ${environments.join(', ') || 'none'})`
+    : null;
+
+  const values = {};
+  const sources = {};
+  const set = (key, value, source) => {
+    if (value === undefined || value === null || value === '') return;
+    values[key] = value;
+    sources[key] = source;
+  };
+
+  for (const layer of fileLayers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (key !== 'environments' && key !== 'defaultEnvironment') set(key, value, layer.source);
+    }
+    for (const [key, value] of Object.entries(layer.values.environments?.[environment] || {})) {
+      set(key, value, `${layer.source} (environments.${environment})`);
+    }
+  }
+
+  // Env vars override config files
+  for (const layer of envLayers) {
+    for (const key of CONFIG_KEYS) {
+      const name = envVarName(key);
+      set(key, layer.values[name], layer.source === 'environment' ? `$${name}` : `${layer.source} (${name})`);
+    }
+  }
+  for (const [key, name] of Object.entries(CONFIG_ENV_ALIASES)) {
+    const layer = envLayers.findLast((l) => l.values[name]);
+    if (values[key] === undefined && layer) {
+      set(key, layer.values[name], layer.source === 'environment' ? `$${name}` : `${layer.source} (${name})`);
+    }
+  }
+
+  const defaults = {
+    localPath: './supabase/functions',
+    migrationsPath: './supabase/migrations',
+    // Supabase CLI convention: a single seed.sql, or a seeds/ folder if that's what the project has
+    seedPath: !existsSync('./supabase/seed.sql') && existsSync('./supabase/seeds') ? './supabase/seeds' : './supabase/seed.sql',
+    edgeContainer: 'edge',
+    dbContainer: 'postgres',
+    checks: 'check',
+    keepReleases: 5,
+  };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (values[key] === undefined) set(key, value, 'default');
+  }
+  if (values.secretsFile === undefined && values.remotePath) {
+    set('secretsFile', `${values.remotePath.replace(/\/$/, '')}/.env`, 'default');
+  }
+
+  return { ...values, environment, environments, environmentError, sources };
+}
+
+// --env <name> applies to every command, so take it out of argv before the command is parsed
+const argv = process.argv.slice(2);
+let config = loadConfig(takeOption(argv, 'env'));
+
+// ─────────────────────────────────────────────────────────────
+// Colors
+// ─────────────────────────────────────────────────────────────
+const c = {
+  red: (s) => `\x1b[31m${s}\x1b[0m`,
+  green: (s) => `\x1b[32m${s}\x1b[0m`,
+  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
+  blue: (s) => `\x1b[34m${s}\x1b[0m`,
+  dim: (s) => `\x1b[2m${s}\x1b[0m`,
+};
+
+const info = (msg) => console.log(`${c.blue('▸')} ${msg}`);
+const success = (msg) => console.log(`${c.green('✓')} ${msg}`);
+const warn = (msg) => console.log(`${c.yellow('⚠')} ${msg}`);
+const error = (msg) => {
+  console.error(`${c.red('✗')} ${msg}`);
+  process.exit(1);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+function requireVar(name) {
+  if (!config[name]) {
+    error(`Missing required config: ${name} / ${envVarName(name)} (see 'shsu env')`);
+  }
+}
+
+function requireServer() {
+  requireVar('server');
+  requireVar('remotePath');
+}
+
+// Exits for an invalid function name; no name (all functions) is fine
+function checkFunctionName(name, options) {
+  const invalid = name && validateFunctionName(name, options);
+  if (invalid) error(invalid);
+}
+
+// Value of --name <value> or --name=<value>
+function getOption(args, name) {
+  const index = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (index === -1) return undefined;
+  const arg = args[index];
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : args[index + 1];
+}
+
+// YYYYMMDDHHMMSS in UTC, used for migration and backup file names
+const compactTimestamp = () => new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Like getOption, but also removes the flag and its value from args
+function takeOption(args, name) {
+  const value = getOption(args, name);
+  const index = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (index !== -1) args.splice(index, args[index].includes('=') ? 1 : 2);
+  return value;
+}
+
+function run(cmd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { stdio: 'inherit', ...options });
+    proc.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`Command failed with code ${code}`));
+    });
+    proc.on('error', reject);
+  });
+}
+
+// Every value of a repeatable option (--header a --header b), removed from args
+function takeOptions(args, name) {
+  const values = [];
+  while (getOption(args, name) !== undefined) values.push(takeOption(args, name));
+  return values;
+}
+
+// Like run, but collects the output instead of printing it
+// Output is trimmed unless `trim: false` is passed (e.g. to compare file contents)
+function capture(cmd, args, { trim = true, ...options } = {}) {
+  return new Promise((resolve) => {
+    const proc = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data; });
+    proc.stderr.on('data', (data) => { stderr += data; });
+    proc.on('close', (code) => resolve({ ok: code === 0, stdout: trim ? stdout.trim() : stdout, stderr: stderr.trim() }));
+    proc.on('error', (e) => resolve({ ok: false, stdout: '', stderr: e.message }));
+  });
+}
+
+// Single-quote a value for a remote shell command
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Trimmed stdout of a command, or null if it fails
+function runSync(cmd, args) {
+  const result = spawnSync(cmd, args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+// Remote shell expression for the id of the container matching a name filter
+const containerId = (filter) => `$(docker ps -q --filter ${shellQuote(`name=${filter}`)})`;
+const restartEdgeCommand = () => `docker restart ${containerId(config.edgeContainer)}`;
+
+function getEdgeContainer() {
+  return runSync('ssh', [config.server, `docker ps -q --filter ${shellQuote(`name=${config.edgeContainer}`)}`]);
+}
+
+// Function names end up in rsync paths and remote shell commands, so only these are accepted
+const FUNCTION_NAME = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+// Migration names are turned into file names (spaces and dashes become underscores)
+const MIGRATION_NAME = /^[A-Za-z0-9][A-Za-z0-9 _-]*$/;
+
+// Returns an error message if the name isn't a valid function name, or null. With `subPath`
+// the name may continue with a path the function routes itself (e.g. "api/users/42").
+function validateFunctionName(name, { subPath = false } = {}) {
+  const [funcName, ...rest] = subPath ? String(name).split('/') : [String(name)];
+  if (!FUNCTION_NAME.test(funcName) || rest.some((segment) => segment === '.' || segment === '..')) {
+    return `Invalid function name: ${name} (letters, digits, _ and - only)`;
+  }
+  return null;
+}
+
+const hasCommand = (cmd) => spawnSync(cmd, ['--version'], { stdio: 'ignore' }).status === 0;
+
+function restartEdgeRuntime() {
+  return run('ssh', [config.server, restartEdgeCommand()], { stdio: ['inherit', 'pipe', 'inherit'] });
+}
+
+function getDbContainer() {
+  return runSync('ssh', [config.server, `docker ps -q --filter ${shellQuote(`name=${config.dbContainer}`)}`]);
+}
+
+// Run a command in the database container, optionally feeding it input via stdin
+function dbExec(dbContainer, command, input) {
+  const result = spawnSync('ssh', [
+    config.server,
+    `docker exec -i ${dbContainer} ${command}`,
+  ], { input, encoding: 'utf-8', maxBuffer: 256 * 1024 * 1024 });
+  return {
+    ok: result.status === 0,
+    stdout: (result.stdout || '').trim(),
+    stderr: (result.stderr || result.error?.message || '').trim(),
+  };
+}
+
+// Run SQL in the database container (piped via stdin since container can't see host filesystem)
+function psql(dbContainer, sql, flags = '', { database = 'postgres' } = {}) {
+  return dbExec(dbContainer, `psql -U postgres -d ${database} ${flags}`.trim(), sql);
+}
+
+const sqlLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// ─────────────────────────────────────────────────────────────
+// Migrations (applied files are tracked in shsu.schema_migrations)
+// ─────────────────────────────────────────────────────────────
+const MIGRATIONS_TABLE = 'shsu.schema_migrations';
+
+const DOWN_SUFFIX = '.down.sql';
+
+// Up migrations, each with its optional paired down file (003_x.sql -> 003_x.down.sql)
+function getLocalMigrations() {
+  const files = readdirSync(config.migrationsPath).filter((f) => f.endsWith('.sql'));
+  return files
+    .filter((f) => !f.endsWith(DOWN_SUFFIX))
+    .sort()
+    .map((name) => {
+      const sql = readFileSync(join(config.migrationsPath, name), 'utf-8');
+      const downName = name.replace(/\.sql$/, DOWN_SUFFIX);
+      const down = files.includes(downName)
+        ? { name: downName, sql: readFileSync(join(config.migrationsPath, downName), 'utf-8') }
+        : null;
+      return { name, sql, checksum: createHash('sha256').update(sql).digest('hex'), down };
+    });
+}
+
+// Returns Map<name, { checksum, appliedAt }> in the order applied, or null if the table can't be read
+function getAppliedMigrations(dbContainer) {
+  const { ok, stdout } = psql(dbContainer, `SET client_min_messages = warning;
+CREATE SCHEMA IF NOT EXISTS shsu;
+CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+  name text PRIMARY KEY,
+  checksum text NOT NULL,
+  applied_at timestamptz NOT NULL DEFAULT now()
+);
+SELECT name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY applied_at, name;
+`, '-q -At -v ON_ERROR_STOP=1');
+  if (!ok) return null;
+
+  const applied = new Map();
+  for (const line of stdout.split('\n').filter(Boolean)) {
+    // name may contain the separator, checksum and timestamp never do
+    const parts = line.split('|');
+    const appliedAt = parts.pop();
+    const checksum = parts.pop();
+    applied.set(parts.join('|'), { checksum, appliedAt });
+  }
+  return applied;
+}
+
+// Split local migrations into pending and modified (applied, but checksum changed)
+function planMigrations(local, applied) {
+  return {
+    pending: local.filter((m) => !applied.has(m.name)),
+    modified: local.filter((m) => applied.has(m.name) && applied.get(m.name).checksum !== m.checksum),
+  };
+}
+
+const formatBytes = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// Numbered list of the files that would run, with size and checksum
+function formatMigrationPlan(pending) {
+  const width = Math.max(...pending.map((m) => m.name.length));
+  return pending.map((m, i) => {
+    const size = formatBytes(Buffer.byteLength(m.sql)).padStart(9);
+    const mode = hasTransactionControl(m.sql) ? '  (own transaction)' : runsInTransaction(m.sql) ? '' : '  (no transaction)';
+    return `${String(i + 1).padStart(3)}. ${m.name.padEnd(width)}  ${size}  sha256:${m.checksum.slice(0, 12)}${mode}`;
+  }).join('\n');
+}
+
+// Files containing this comment run outside a transaction (e.g. CREATE INDEX CONCURRENTLY)
+const NO_TRANSACTION_MARKER = /^\s*--\s*shsu:no-transaction\b/m;
+// Statements that start or end a transaction. BEGIN ATOMIC opens a SQL function body, and
+// ROLLBACK TO only returns to a savepoint, so neither counts.
+const EXPLICIT_TRANSACTION = /(^|;)\s*(begin\b(?!\s+atomic\b)|start\s+transaction|commit|abort|rollback\b(?!\s+(?:work\s+|transaction\s+)?to\b))\b/i;
+
+// A top-level BEGIN/COMMIT in the file would commit the transaction shsu wraps it in
+function hasTransactionControl(sql) {
+  return EXPLICIT_TRANSACTION.test(sqlCode(sql));
+}
+
+// Files that manage their own transaction (or opt out) run as they are, like the no-transaction ones
+function runsInTransaction(sql) {
+  return !NO_TRANSACTION_MARKER.test(sql) && !hasTransactionControl(sql);
+}
+
+// Run a migration file together with its bookkeeping SQL in one psql session. Unless the
+// file opts out, both happen in one transaction, so a failing statement leaves the database untouched.
+function runMigrationSql(dbContainer, sql, bookkeeping = '', { database } = {}) {
+  const transactional = runsInTransaction(sql);
+  const script = transactional
+    ? `BEGIN;\n${sql}\n;\n${bookkeeping}\nCOMMIT;\n`
+    : `${sql}\n;\n${bookkeeping}\n`;
+  const result = psql(dbContainer, script, '-v ON_ERROR_STOP=1', { database });
+  return { ...result, transactional, lineOffset: transactional ? 1 : 0 };
+}
+
+function ownTransactionWarning(name) {
+  return `${name} has its own BEGIN/COMMIT, so it runs without the transaction shsu wraps migrations in`;
+}
+
+function applyMigration(dbContainer, migration) {
+  return runMigrationSql(dbContainer, migration.sql, `INSERT INTO ${MIGRATIONS_TABLE} (name, checksum) VALUES (${sqlLiteral(migration.name)}, ${sqlLiteral(migration.checksum)})
+  ON CONFLICT (name) DO UPDATE SET checksum = EXCLUDED.checksum, applied_at = now();`);
+}
+
+function revertMigration(dbContainer, migration) {
+  return runMigrationSql(dbContainer, migration.down.sql, `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = ${sqlLiteral(migration.name)};`);
+}
+
+// Run all pending files in a single transaction that is always rolled back, so SQL errors
+// surface without changing anything. Files that opt out of transactions or manage their own
+// can't be verified.
+function verifyMigrations(dbContainer, pending) {
+  const verifiable = pending.filter((m) => runsInTransaction(m.sql));
+  const skipped = pending.filter((m) => !runsInTransaction(m.sql));
+
+  let script = 'BEGIN;\n';
+  let line = 1;
+  const offsets = [];
+  for (const m of verifiable) {
+    offsets.push({ migration: m, lineOffset: line });
+    script += `${m.sql}\n;\n`;
+    line += m.sql.split('\n').length + 1;
+  }
+  script += 'ROLLBACK;\n';
+
+  const result = psql(dbContainer, script, '-v ON_ERROR_STOP=1');
+  let failed = null;
+  if (!result.ok) {
+    const errorLine = Number(result.stderr.match(/^psql:<stdin>:(\d+):/m)?.[1]);
+    failed = [...offsets].reverse().find((o) => errorLine > o.lineOffset) || null;
+  }
+  return { ...result, transactional: true, skipped, failed, lineOffset: failed?.lineOffset };
+}
+
+// psql reports errors as "psql:<stdin>:<line>: ERROR: ...", where <line> is the last line
+// of the failing statement. Walk back to the previous statement end to show all of it.
+function findFailedStatement(sql, stderr, lineOffset = 0) {
+  const match = stderr.match(/^psql:<stdin>:(\d+):/m);
+  if (!match) return null;
+  const lines = sql.split('\n');
+  const end = Number(match[1]) - 1 - lineOffset;
+  if (end < 0 || end >= lines.length) return null;
+  let start = end;
+  while (start > 0 && !lines[start - 1].replace(/--.*$/, '').trim().endsWith(';')) start--;
+  const statement = lines.slice(start, end + 1).join('\n').trim();
+  return statement ? { line: end + 1, statement } : null;
+}
+
+// file is { name, sql } of the up or down file that failed
+function formatMigrationFailure(file, result, verb = 'apply') {
+  const failed = findFailedStatement(file.sql, result.stderr, result.lineOffset);
+  let text = result.transactional
+    ? `Failed to ${verb} ${file.name} (transaction rolled back, nothing was changed)`
+    : `Failed to ${verb} ${file.name} (no transaction - the database may be partially migrated)`;
+  if (failed) {
+    text += `\n\nFailing statement (line ${failed.line}):\n${failed.statement.replace(/^/gm, '  ')}`;
+  }
+  if (result.stderr) {
+    text += `\n\npsql error:\n${result.stderr.replace(/^/gm, '  ')}`;
+  }
+  return text;
+}
+
+// Local files merged with the applied record: applied | pending | modified | missing (applied, no local file)
+function getMigrationStatus(local, applied) {
+  const rows = local.map((m) => {
+    const record = applied.get(m.name);
+    if (!record) return { name: m.name, state: 'pending' };
+    return { name: m.name, state: record.checksum === m.checksum ? 'applied' : 'modified', appliedAt: record.appliedAt };
+  });
+  for (const [name, record] of applied) {
+    if (!local.some((m) => m.name === name)) rows.push({ name, state: 'missing', appliedAt: record.appliedAt });
+  }
+  return rows.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Applied migrations to revert, newest first: the last `steps`, or everything applied after `to`
+function planRollback(local, applied, { steps = 1, to } = {}) {
+  const names = [...applied.keys()].reverse();
+  let targets;
+  if (to) {
+    const index = names.indexOf(to);
+    if (index === -1) return { error: `Migration is not applied: ${to}` };
+    targets = names.slice(0, index);
+  } else {
+    if (!Number.isInteger(steps) || steps < 1) return { error: `Invalid --steps value: ${steps}` };
+    targets = names.slice(0, steps);
+  }
+
+  const migrations = targets.map((name) => local.find((m) => m.name === name) || { name, down: null });
+  const withoutDown = migrations.filter((m) => !m.down);
+  if (withoutDown.length) {
+    return { error: `No down file for: ${withoutDown.map((m) => m.name.replace(/\.sql$/, DOWN_SUFFIX)).join(', ')}` };
+  }
+  return { migrations };
+}
+
+// Creates <migrationsPath>/<YYYYMMDDHHMMSS>_<name>.sql, matching the Supabase CLI naming
+function createMigrationFile(name) {
+  if (!MIGRATION_NAME.test(String(name).trim())) {
+    return { error: `Invalid migration name: ${name} (letters, digits, spaces, _ and - only)` };
+  }
+  const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) return { error: `Invalid migration name: ${name}` };
+
+  const fileName = `${compactTimestamp()}_${slug}.sql`;
+  const filePath = join(config.migrationsPath, fileName);
+
+  mkdirSync(config.migrationsPath, { recursive: true });
+  const existing = readdirSync(config.migrationsPath).filter((f) => f.endsWith('.sql')).sort();
+  if (existing.includes(fileName)) return { error: `Migration already exists: ${filePath}` };
+
+  writeFileSync(filePath, '');
+  const last = existing[existing.length - 1];
+  return { filePath, outOfOrder: last && last > fileName ? last : null };
+}
+
+// seedPath is either a single .sql file or a folder of .sql files run alphabetically
+function getSeedFiles() {
+  if (!existsSync(config.seedPath)) return [];
+  if (!statSync(config.seedPath).isDirectory()) {
+    return [{ name: config.seedPath, sql: readFileSync(config.seedPath, 'utf-8') }];
+  }
+  return readdirSync(config.seedPath)
+    .filter((f) => f.endsWith('.sql'))
+    .sort()
+    .map((f) => ({ name: f, sql: readFileSync(join(config.seedPath, f), 'utf-8') }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Queries
+// ─────────────────────────────────────────────────────────────
+// Statements that could end the read-only transaction or switch it back to read-write
+const TRANSACTION_CONTROL = /(^|;)\s*(begin|commit|rollback|abort|end|start\s+transaction|savepoint|release|prepare\s+transaction)\b|\b(set\s+session|read\s+write|default_transaction_read_only|transaction_read_only)\b/i;
+// Statements that switch away from the read-only role, and COPY, which can write files or run programs
+const ROLE_CHANGE = /\bset\s+(local\s+)?role\b|\bset_config\b/i;
+const COPY_STATEMENT = /(^|;)\s*copy\b/i;
+// Read-only queries run as this role instead of the postgres superuser. It can read all data,
+// but not write files, run programs or signal other backends.
+const READ_ONLY_ROLE = 'shsu_read_only';
+// Every transaction of a read-only session starts read-only, even after a COMMIT, and
+// RESET ROLE returns to the read-only role
+const READ_ONLY_CONNINFO = `dbname=postgres options='-c default_transaction_read_only=on -c role=${READ_ONLY_ROLE}'`;
+const READ_ONLY_ROLE_SQL = `DO $$ BEGIN
+  IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = '${READ_ONLY_ROLE}') THEN
+    CREATE ROLE ${READ_ONLY_ROLE} NOLOGIN;
+  END IF;
+END $$;
+GRANT pg_read_all_data TO ${READ_ONLY_ROLE};`;
+
+// SQL with comments removed and the contents of string literals, quoted identifiers and
+// dollar-quoted bodies blanked, so keyword checks only look at the statements themselves
+function sqlCode(sql) {
+  let code = '';
+  let i = 0;
+  while (i < sql.length) {
+    if (sql.startsWith('--', i)) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      code += ' ';
+    } else if (sql.startsWith('/*', i)) {
+      // Block comments nest in Postgres
+      let depth = 0;
+      do {
+        if (sql.startsWith('/*', i) || sql.startsWith('*/', i)) {
+          depth += sql[i] === '/' ? 1 : -1;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (depth > 0 && i < sql.length);
+      code += ' ';
+    } else if (sql[i] === "'" || sql[i] === '"') {
+      const quote = sql[i];
+      // E'...' strings use backslash escapes
+      const escapes = quote === "'" && /[eE]/.test(sql[i - 1] || '') && !/\w/.test(sql[i - 2] || '');
+      i++;
+      while (i < sql.length) {
+        if (escapes && sql[i] === '\\') i += 2;
+        else if (sql[i] === quote && sql[i + 1] === quote) i += 2;
+        else if (sql[i] === quote) break;
+        else i++;
+      }
+      i++;
+      code += quote + quote;
+    } else if (sql[i] === '$' && /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/)[0];
+      const end = sql.indexOf(tag, i + tag.length);
+      i = end === -1 ? sql.length : end + tag.length;
+      code += "''";
+    } else {
+      code += sql[i++];
+    }
+  }
+  return code;
+}
+
+// Returns an error message if the SQL could leave read-only mode, or null
+function checkReadOnlySql(sql) {
+  const code = sqlCode(sql);
+  if (code.includes('\\')) return 'psql meta-commands (\\...) are not allowed in read-only mode.';
+  if (TRANSACTION_CONTROL.test(code)) return 'Transaction control statements are not allowed in read-only mode.';
+  if (ROLE_CHANGE.test(code)) return 'Changing the role is not allowed in read-only mode.';
+  if (COPY_STATEMENT.test(code)) return 'COPY is not allowed in read-only mode.';
+  return null;
+}
+
+// Run a single statement and return its result set (parsed from psql's CSV output).
+// The SQL is sent with -c, so psql passes it to the server as is and runs no meta-commands.
+function runQuery(dbContainer, sql, { readOnly = false } = {}) {
+  const invalid = readOnly && checkReadOnlySql(sql);
+  if (invalid) return { ok: false, stderr: invalid };
+  if (readOnly) {
+    const role = psql(dbContainer, READ_ONLY_ROLE_SQL, '-q -v ON_ERROR_STOP=1');
+    if (!role.ok) return { ok: false, stderr: `Could not set up the ${READ_ONLY_ROLE} role for read-only queries:\n${role.stderr}` };
+  }
+  const result = psql(dbContainer, '', `-q -v ON_ERROR_STOP=1 --csv -c ${shellQuote(sql)}`, {
+    database: readOnly ? shellQuote(READ_ONLY_CONNINFO) : 'postgres',
+  });
+  if (!result.ok) return result;
+  const [columns = [], ...rows] = parseCsv(result.stdout);
+  return { ...result, columns, rows };
+}
+
+// RFC 4180 CSV as written by psql --csv. Unquoted empty fields are NULL.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let wasQuoted = false;
+  const endField = () => {
+    row.push(field === '' && !wasQuoted ? null : field);
+    field = '';
+    wasQuoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n') {
+      endField();
+      rows.push(row);
+      row = [];
+    } else if (ch !== '\r') {
+      field += ch;
+    }
+  }
+  if (text) {
+    endField();
+    rows.push(row);
+  }
+  return rows;
+}
+
+function formatQueryResult({ columns, rows, stdout }, format = 'table') {
+  if (format === 'csv') return stdout;
+  if (format === 'json') {
+    return JSON.stringify(rows.map((row) => Object.fromEntries(columns.map((col, i) => [col, row[i]]))), null, 2);
+  }
+  if (columns.length === 0) return '(no result set)';
+
+  const cell = (v) => (v === null ? 'NULL' : v.replace(/\n/g, '\\n'));
+  const widths = columns.map((col, i) => Math.max(col.length, ...rows.map((row) => cell(row[i]).length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join(' | ').trimEnd();
+  return [
+    line(columns),
+    widths.map((w) => '-'.repeat(w)).join('-+-'),
+    ...rows.map((row) => line(row.map(cell))),
+    `(${rows.length} row${rows.length === 1 ? '' : 's'})`,
+  ].join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────
+// Schema dump & diff
+// ─────────────────────────────────────────────────────────────
+const DEFAULT_SCHEMAS = ['public'];
+
+function parseSchemas(value) {
+  const schemas = value ? String(value).split(',').map((s) => s.trim()).filter(Boolean) : DEFAULT_SCHEMAS;
+  const invalid = schemas.find((s) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(s));
+  return invalid ? { error: `Invalid schema name: ${invalid}` } : { schemas };
+}
+
+function pgDumpSchemaCommand(schemas, { database = 'postgres', exclude = false } = {}) {
+  const schemaFlags = schemas.map((s) => (exclude ? `--exclude-schema=${s}` : `--schema=${s}`)).join(' ');
+  return `pg_dump -U postgres -d ${database} --schema-only --no-owner --no-privileges ${schemaFlags}`;
+}
+
+// Strip comments, session settings and blank lines so only schema statements are compared
+function normalizeSchemaDump(sql) {
+  return sql.split('\n').filter((line) =>
+    line.trim() &&
+    !line.startsWith('--') &&
+    !line.startsWith('SET ') &&
+    !line.startsWith('SELECT pg_catalog.set_config') &&
+    !/^\\(un)?restrict\b/.test(line)
+  );
+}
+
+// Build the schema the local migrations describe in a scratch database next to the live one.
+// Schemas outside the comparison (auth, storage, extensions, ...) are copied from the live
+// database first, so migrations referencing e.g. auth.users still apply.
+function buildSchemaFromMigrations(dbContainer, migrations, schemas) {
+  const scratch = `shsu_diff_${Date.now()}`;
+  const created = psql(dbContainer, `CREATE DATABASE ${scratch};`, '-q -v ON_ERROR_STOP=1');
+  if (!created.ok) return { error: `Could not create scratch database:\n${created.stderr}` };
+
+  try {
+    const base = dbExec(dbContainer, pgDumpSchemaCommand(schemas, { exclude: true }));
+    if (!base.ok) return { error: `Could not dump the base schema:\n${base.stderr}` };
+    // Supabase-managed objects don't all restore cleanly into a fresh database; that's fine here
+    psql(dbContainer, base.stdout, '-q', { database: scratch });
+
+    for (const migration of migrations) {
+      const result = runMigrationSql(dbContainer, migration.sql, '', { database: scratch });
+      if (!result.ok) {
+        return { error: `Could not build the schema from local migrations.\n\n${formatMigrationFailure(migration, result)}` };
+      }
+    }
+
+    const dump = dbExec(dbContainer, pgDumpSchemaCommand(schemas, { database: scratch }));
+    if (!dump.ok) return { error: `Could not dump the migrated schema:\n${dump.stderr}` };
+    return { dump: dump.stdout };
+  } finally {
+    psql(dbContainer, `DROP DATABASE IF EXISTS ${scratch} WITH (FORCE);`, '-q');
+  }
+}
+
+// Line diff (Myers). Returns [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Step d only reads diagonals -d-1..d+1 of the previous step, so only that window is kept
+  const trace = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    // The trace grows with the square of the number of edits; show a full replace for very different inputs
+    if (d > 5000) {
+      return [...a.map((line) => ({ type: '-', line })), ...b.map((line) => ({ type: '+', line }))];
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const window = trace[d];
+    const at = (k) => window[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[--y] });
+      else ops.push({ type: '-', line: a[--x] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+// Unified diff text with `context` lines around each change; empty string if equal
+function formatDiff(ops, { from = 'a', to = 'b', context = 3 } = {}) {
+  const show = new Array(ops.length).fill(false);
+  ops.forEach((op, i) => {
+    if (op.type === ' ') return;
+    for (let j = Math.max(0, i - context); j <= Math.min(ops.length - 1, i + context); j++) show[j] = true;
+  });
+  if (!show.includes(true)) return '';
+
+  // An empty range names the line before it, like diff -u
+  const range = (start, count) => `${count ? start : start - 1},${count}`;
+  const lines = [`--- ${from}`, `+++ ${to}`];
+  let aLine = 1;
+  let bLine = 1;
+  let hunk = null;
+  ops.forEach((op, i) => {
+    if (show[i]) {
+      if (!hunk) {
+        hunk = { aStart: aLine, bStart: bLine, aCount: 0, bCount: 0, lines: [] };
+      }
+      hunk.lines.push(`${op.type}${op.line}`);
+      if (op.type !== '+') hunk.aCount++;
+      if (op.type !== '-') hunk.bCount++;
+    }
+    if (hunk && (!show[i] || i === ops.length - 1)) {
+      lines.push(`@@ -${range(hunk.aStart, hunk.aCount)} +${range(hunk.bStart, hunk.bCount)} @@`, ...hunk.lines);
+      hunk = null;
+    }
+    if (op.type !== '+') aLine++;
+    if (op.type !== '-') bLine++;
+  });
+  return lines.join('\n');
+}
+
+function printDiff(text) {
+  for (const line of text.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---')) console.log(c.dim(line));
+    else if (line.startsWith('@@')) console.log(c.blue(line));
+    else if (line.startsWith('+')) console.log(c.green(line));
+    else if (line.startsWith('-')) console.log(c.red(line));
+    else console.log(line);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Backup & restore
+// ─────────────────────────────────────────────────────────────
+const LOCAL_BACKUP_DIR = './supabase/backups';
+const REMOTE_BACKUP_DIR = 'shsu-backups';
+
+// Full pg_dump with DROP statements, so restoring it replaces the current objects.
+// Local backups are streamed over SSH, remote ones are written on the server.
+async function backupDatabase(dbContainer, { file, remote = false } = {}) {
+  const target = file || `${remote ? REMOTE_BACKUP_DIR : LOCAL_BACKUP_DIR}/backup-${compactTimestamp()}.sql`;
+  const dump = `docker exec -i ${dbContainer} pg_dump -U postgres -d postgres --clean --if-exists`;
+
+  if (remote) {
+    await run('ssh', [config.server, `mkdir -p "$(dirname ${shellQuote(target)})" && ${dump} > ${shellQuote(target)}`]);
+    return target;
+  }
+
+  mkdirSync(dirname(target), { recursive: true });
+  const fd = openSync(target, 'w');
+  try {
+    await run('ssh', [config.server, dump], { stdio: ['ignore', fd, 'inherit'] });
+  } catch (e) {
+    closeSync(fd);
+    unlinkSync(target);
+    throw e;
+  }
+  closeSync(fd);
+  // The dump holds all data, auth.users included, and usually lands inside the project's repository
+  if (spawnSync('git', ['check-ignore', '-q', target], { stdio: 'ignore' }).status === 1) {
+    warn(`${target} is not git-ignored - add ${dirname(target)}/ to .gitignore so the backup isn't committed`);
+  }
+  return target;
+}
+
+// Restore in a single transaction, so a failing statement leaves the database as it was
+async function restoreDatabase(dbContainer, { file, remote = false }) {
+  const restore = `docker exec -i ${dbContainer} psql -U postgres -d postgres -q -v ON_ERROR_STOP=1 --single-transaction -f -`;
+
+  if (remote) {
+    await run('ssh', [config.server, `cat ${shellQuote(file)} | ${restore}`], { stdio: ['ignore', 'ignore', 'inherit'] });
+    return;
+  }
+
+  const fd = openSync(file, 'r');
+  try {
+    await run('ssh', [config.server, restore], { stdio: [fd, 'ignore', 'inherit'] });
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Secrets (env file on the server that the edge runtime loads)
+// ─────────────────────────────────────────────────────────────
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const maskSecret = (value) => (value.length > 12 ? `${value.slice(0, 4)}${'*'.repeat(8)}` : '*'.repeat(8));
+
+// Returns { secrets } (an object in file order), or { error }
+function readRemoteSecrets() {
+  const result = spawnSync('ssh', [
+    config.server,
+    `if [ -f ${shellQuote(config.secretsFile)} ]; then cat ${shellQuote(config.secretsFile)}; fi`,
+  ], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return { error: `Could not read ${config.secretsFile}: ${(result.stderr || result.error?.message || '').trim()}` };
+  }
+  return { secrets: parseEnv(result.stdout) };
+}
+
+// Rewrites the whole file, readable by the owner only
+function writeRemoteSecrets(secrets) {
+  const content = Object.entries(secrets)
+    .map(([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join('\n');
+  const result = spawnSync('ssh', [
+    config.server,
+    `mkdir -p "$(dirname ${shellQuote(config.secretsFile)})" && umask 077 && cat > ${shellQuote(config.secretsFile)}`,
+  ], { input: content ? `${content}\n` : '', encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return { error: `Could not write ${config.secretsFile}: ${(result.stderr || result.error?.message || '').trim()}` };
+  }
+  return {};
+}
+
+// Where the edge runtime image serves functions from
+const EDGE_FUNCTIONS_DIR = '/home/deno/functions';
+// The function that starts a worker for every other function. It only passes the secrets file
+// on to workers once `shsu secrets setup` added the loader, which this marker identifies.
+const MAIN_SERVICE = 'main';
+const SECRETS_MARKER = 'shsu:secrets';
+
+// secretsFile as the edge container sees it, or null if it's outside the functions volume
+function containerSecretsPath() {
+  const root = config.remotePath.replace(/\/+$/, '');
+  return config.secretsFile.startsWith(`${root}/`) ? `${EDGE_FUNCTIONS_DIR}${config.secretsFile.slice(root.length)}` : null;
+}
+
+// Added to the main service. It reads the file (as written by writeRemoteSecrets) whenever a
+// worker is created, so restarting edge-runtime, which drops the running workers, applies changes.
+const secretsLoader = (path) => `
+// ${SECRETS_MARKER} - secrets managed with \`shsu secrets\`, read for every new worker
+function shsuSecrets(): [string, string][] {
+  try {
+    return Deno.readTextFileSync(${JSON.stringify(path)}).split('\\n').flatMap((line): [string, string][] => {
+      const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)="(.*)"$/);
+      return match ? [[match[1], match[2].replace(/\\\\(n|"|\\\\)/g, (_, ch) => (ch === 'n' ? '\\n' : ch))]] : [];
+    });
+  } catch {
+    return [];
+  }
+}
+`;
+
+// Main service source with the secrets loader added to the envVars of its workers.
+// Returns { source } or { error } if the envVars option can't be found.
+function addSecretsLoader(source, path) {
+  const create = source.search(/userWorkers\.create\s*\(/);
+  if (create === -1) return { error: 'no EdgeRuntime.userWorkers.create() call' };
+  const pattern = /\benvVars\b(?:\s*:\s*([^,\n}]+))?/g;
+  pattern.lastIndex = create;
+  const match = pattern.exec(source);
+  const value = match?.[1]?.trim() || 'envVars';
+  const count = (ch) => value.split(ch).length;
+  if (!match || count('(') !== count(')') || count('[') !== count(']')) {
+    return { error: 'no envVars option in the userWorkers.create() call' };
+  }
+  const envVars = `envVars: [...${value}, ...shsuSecrets()]`;
+  return { source: `${source.slice(0, match.index)}${envVars}${source.slice(match.index + match[0].length)}${secretsLoader(path)}` };
+}
+
+// Whether the main service on the server loads the secrets file. Returns { loaded } or { error }
+function secretsLoaded() {
+  const mainDir = `${config.remotePath.replace(/\/+$/, '')}/${MAIN_SERVICE}`;
+  const result = spawnSync('ssh', [
+    config.server,
+    `grep -rqs --include='*.ts' ${shellQuote(SECRETS_MARKER)} ${shellQuote(mainDir)}`,
+  ], { encoding: 'utf-8' });
+  if (result.status === 255 || result.error) {
+    return { error: `Could not check ${mainDir}: ${(result.stderr || result.error?.message || '').trim()}` };
+  }
+  return { loaded: result.status === 0 };
+}
+
+// Returns an error message for the first invalid name, or null
+function validateSecretNames(names) {
+  const invalid = names.find((name) => !SECRET_NAME.test(name));
+  if (invalid !== undefined) return `Invalid secret name: ${invalid}`;
+  const reserved = names.find((name) => name.startsWith('SUPABASE_'));
+  if (reserved) return `Secret names starting with SUPABASE_ are reserved: ${reserved}`;
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Pre-deploy checks (deno check / lint / fmt on the functions being deployed)
+// ─────────────────────────────────────────────────────────────
+const CHECKS = {
+  check: (dir, entry) => ['check', entry],
+  lint: (dir) => ['lint', dir],
+  fmt: (dir) => ['fmt', '--check', dir],
+};
+const FUNCTION_ENTRYPOINTS = ['index.ts', 'index.tsx', 'index.js', 'index.mjs'];
+
+// `checks` is a list or comma-separated string of check names; "none" disables them
+// Returns { checks } or { error } for an unknown check name
+function getChecks() {
+  const value = config.checks;
+  const checks = (Array.isArray(value) ? value : String(value).split(',')).map((s) => String(s).trim()).filter(Boolean);
+  const unknown = checks.filter((name) => !CHECKS[name] && name !== 'none');
+  if (unknown.length) {
+    return { error: `Unknown check in config: ${unknown.join(', ')} (expected ${Object.keys(CHECKS).join(', ')} or none)` };
+  }
+  return { checks: checks.filter((name) => name !== 'none') };
+}
+
+function findEntrypoint(dir) {
+  return FUNCTION_ENTRYPOINTS.map((file) => join(dir, file)).find((path) => existsSync(path));
+}
+
+// [{ file, line, column, message }] from deno's output; empty if nothing could be located
+function parseDenoDiagnostics(check, output) {
+  const diagnostics = [];
+  const toPath = (file) => relative(process.cwd(), file.startsWith('file://') ? fileURLToPath(file) : file);
+  let message = null;
+  for (const line of output.split('\n')) {
+    let m;
+    if (check === 'check' && (m = line.match(/^(?:error: )?(TS\d+ \[ERROR\]: .*)$/))) {
+      message = m[1];
+    } else if (check === 'lint' && (m = line.match(/^error\[([\w-]+)\]: (.*)$/))) {
+      message = `${m[2]} (${m[1]})`;
+    } else if (message && (m = line.match(/^\s+(?:at|-->) (\S+?):(\d+):(\d+)$/))) {
+      diagnostics.push({ file: toPath(m[1]), line: Number(m[2]), column: Number(m[3]), message });
+      message = null;
+    } else if (check === 'fmt' && (m = line.match(/^from (.+):$/))) {
+      diagnostics.push({ file: toPath(m[1]), line: null, column: null, message: 'Not formatted (run deno fmt)' });
+    }
+  }
+  return diagnostics;
+}
+
+// Runs the configured checks on each function; returns { ok, skipped, failures: [{ name, check, diagnostics, output }] },
+// or { ok: false, error } if the checks config is invalid
+async function runDeployChecks(names) {
+  const { checks, error: configError } = getChecks();
+  if (configError) return { ok: false, error: configError, failures: [] };
+  if (!checks.length) return { ok: true, skipped: 'no checks configured', failures: [] };
+  if (!hasCommand('deno')) return { ok: true, skipped: 'deno not installed', failures: [] };
+
+  const failures = [];
+  for (const name of names) {
+    const dir = resolve(config.localPath, name);
+    const entry = findEntrypoint(dir);
+    if (!entry) continue;
+    for (const check of checks) {
+      // Run from the function folder so its own deno.json / import map is picked up
+      const result = await capture('deno', CHECKS[check](dir, entry), { cwd: dir, env: { ...process.env, NO_COLOR: '1' } });
+      if (!result.ok) {
+        const output = [result.stdout, result.stderr].filter(Boolean).join('\n');
+        failures.push({ name, check, diagnostics: parseDenoDiagnostics(check, output), output });
+      }
+    }
+  }
+  return { ok: failures.length === 0, skipped: null, failures };
+}
+
+function formatCheckFailures(failures) {
+  return failures.map(({ name, check, diagnostics, output }) => {
+    const details = diagnostics.length
+      ? diagnostics.map((d) => `  ${d.file}${d.line ? `:${d.line}:${d.column}` : ''}  ${d.message}`)
+      : output.split('\n').filter((line) => line && !/^Stack backtrace:|^\s+\d+: </.test(line)).map((line) => `  ${line}`);
+    return [`${name}: deno ${check} failed`, ...details].join('\n');
+  }).join('\n\n');
+}
+
+// Function folders to check for a deploy of `funcName`, or of everything in localPath
+function deployTargets(funcName) {
+  if (funcName) return [funcName];
+  if (!existsSync(config.localPath)) return [];
+  return readdirSync(config.localPath, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith('.'))
+    .map((d) => d.name);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Post-deploy health checks & rollback
+// ─────────────────────────────────────────────────────────────
+// Health check settings for a function: "healthChecks" entries by function name, with "*"
+// applying to all. Functions without an entry aren't checked (a handler that expects a body
+// may well answer a bare GET with a 500), and `false` disables the check.
+// Without `status`, anything below 500 passes.
+function getHealthCheck(name) {
+  const checks = config.healthChecks || {};
+  if (checks[name] === false || !(checks[name] || checks['*'])) return null;
+  return { path: '', method: 'GET', status: null, headers: {}, body: undefined, timeout: 30, ...checks['*'], ...checks[name] };
+}
+
+// Functions to health-check after deploying `funcName` (or everything), or null without a url
+function healthCheckTargets(funcName) {
+  if (!config.healthChecks) return [];
+  if (!config.url) return null;
+  return deployTargets(funcName)
+    .filter((name) => !name.startsWith('_') && findEntrypoint(resolve(config.localPath, name)))
+    .map((name) => ({ name, check: getHealthCheck(name) }))
+    .filter((target) => target.check);
+}
+
+// Request the function until it passes or `timeout` seconds have passed, to give the
+// edge runtime time to come back up after the restart
+async function checkFunctionHealth(name, check) {
+  const url = `${config.url.replace(/\/$/, '')}/functions/v1/${name}${check.path}`;
+  const method = check.method.toUpperCase();
+  const expected = check.status ? `${check.status}` : '< 500';
+  const isJson = check.body !== undefined && typeof check.body !== 'string';
+  const deadline = Date.now() + check.timeout * 1000;
+
+  for (;;) {
+    const started = Date.now();
+    let result;
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { ...(isJson && { 'Content-Type': 'application/json' }), ...check.headers },
+        body: isJson ? JSON.stringify(check.body) : check.body,
+        signal: AbortSignal.timeout(10000),
+      });
+      await res.arrayBuffer();
+      const ok = check.status ? res.status === Number(check.status) : res.status < 500;
+      result = { name, method, url, expected, status: res.status, ms: Date.now() - started, ok };
+    } catch (e) {
+      result = { name, method, url, expected, status: null, error: e.cause?.message || e.message, ms: Date.now() - started, ok: false };
+    }
+    if (result.ok || Date.now() >= deadline) return result;
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+}
+
+function formatHealthResults(results) {
+  return results.map((r) => {
+    const outcome = r.status ? `${r.status}` : r.error;
+    return `  ${r.ok ? '✓' : '✗'} ${r.name}  ${r.method} ${r.url} → ${outcome} (${r.ms}ms)${r.ok ? '' : `, expected ${r.expected}`}`;
+  }).join('\n');
+}
+
+// Health-check the deployed functions; if any fails, restore the `before` state and restart.
+// Returns { ok, results, rolledBack, rollbackError }
+async function verifyDeploy(targets, before) {
+  const results = await Promise.all(targets.map(({ name, check }) => checkFunctionHealth(name, check)));
+  if (results.every((r) => r.ok)) return { ok: true, results, rolledBack: false, rollbackError: null };
+
+  let rollback = await restoreReleases(before);
+  if (rollback.ok) {
+    rollback = await capture('ssh', [config.server, restartEdgeCommand()]);
+  }
+  return { ok: false, results, rolledBack: rollback.ok, rollbackError: rollback.ok ? null : rollback.stderr || 'unknown error' };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Releases (copies of deployed function folders in <remotePath>.shsu/releases/<id>)
+// ─────────────────────────────────────────────────────────────
+// Next to remotePath, so the edge runtime doesn't serve them
+const releasesPath = () => `${config.remotePath.replace(/\/$/, '')}.shsu/releases`;
+
+// Returns { keep } or { error }
+function getKeepReleases() {
+  const keep = Number(config.keepReleases);
+  if (!Number.isInteger(keep) || keep < 1) {
+    return { error: `Invalid keepReleases: ${config.keepReleases} (expected a number of at least 1)` };
+  }
+  return { keep };
+}
+
+// Returns { releases (oldest first), remoteFunctions } or { error }
+async function readReleases() {
+  const result = await capture('ssh', [config.server, [
+    `find ${shellQuote(config.remotePath)} -mindepth 1 -maxdepth 1 -type d -printf '%f\\n' 2>/dev/null`,
+    'echo ---',
+    `for f in ${shellQuote(releasesPath())}/*/release.json; do if [ -f "$f" ]; then cat "$f"; echo; fi; done`,
+  ].join('; ')]);
+  if (!result.ok) return { error: result.stderr || 'Could not read releases' };
+
+  const [functions, metadata = ''] = result.stdout.split(/^---$/m);
+  const releases = metadata.split('\n').filter(Boolean).flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+  releases.sort((a, b) => a.id.localeCompare(b.id));
+  return { releases, remoteFunctions: functions.split('\n').filter((name) => name && !name.startsWith('.')) };
+}
+
+// Which release each function's current version came from (null: the function was removed).
+// A release of a full deploy holds every function, so older releases don't matter past it.
+function releaseState(releases) {
+  const state = {};
+  for (const release of [...releases].reverse()) {
+    for (const name of release.functions) if (!(name in state)) state[name] = release.id;
+    for (const name of release.removed || []) if (!(name in state)) state[name] = null;
+    if (release.full) break;
+  }
+  return state;
+}
+
+// The deploy (or initial) release a function's version in release `id` was copied from,
+// following rollbacks back to where their copy came from
+function releaseOrigin(releases, id, name) {
+  let release = releases.find((r) => r.id === id);
+  while (release?.type === 'rollback') {
+    const from = release.restored?.[name] ?? release.rollbackTo;
+    const origin = releases.find((r) => r.id === from);
+    if (!origin) break;
+    release = origin;
+  }
+  return release?.id ?? id;
+}
+
+function gitInfo() {
+  const commit = runSync('git', ['rev-parse', '--short', 'HEAD']);
+  return {
+    commit,
+    branch: commit ? runSync('git', ['rev-parse', '--abbrev-ref', 'HEAD']) : null,
+    dirty: commit ? Boolean(runSync('git', ['status', '--porcelain'])) : null,
+  };
+}
+
+// Copy the remote folders of `functions` into a new release, then prune old releases.
+// Every function keeps its newest `keepReleases` deploys.
+async function recordRelease(releases, { functions, removed = [], full = false, type, rollbackTo, restored }) {
+  const ids = new Set(releases.map((r) => r.id));
+  let id = compactTimestamp();
+  for (let n = 2; ids.has(id); n++) id = `${compactTimestamp()}-${n}`;
+
+  const release = {
+    id,
+    type,
+    ...(rollbackTo && { rollbackTo }),
+    ...(restored && { restored }),
+    createdAt: new Date().toISOString(),
+    user: runSync('git', ['config', 'user.name']) || userInfo().username,
+    host: hostname(),
+    ...gitInfo(),
+    full,
+    functions,
+    ...(removed.length && { removed }),
+  };
+
+  const { keep, error: keepError } = getKeepReleases();
+  if (keepError) return { ok: false, error: keepError };
+  // Rollbacks only copy earlier releases, so they don't take up any of the `keep` slots. They
+  // are kept as long as they're newer than the oldest deploy that's kept of one of their functions.
+  const all = [...releases, release];
+  const newest = [...all].reverse();
+  const counted = (r) => r.type !== 'rollback';
+  const kept = (r) => [...r.functions, ...(r.removed || [])].some((name) => {
+    const history = newest.filter((other) => counted(other) && (other.functions.includes(name) || other.removed?.includes(name)));
+    return counted(r) ? history.indexOf(r) < keep : history.length < keep || r.id > history[keep - 1].id;
+  });
+  const pruned = all.filter((r) => !kept(r));
+
+  const dir = `${releasesPath()}/${id}`;
+  const result = await capture('ssh', [config.server, [
+    `mkdir -p ${shellQuote(`${dir}/functions`)}`,
+    ...functions.map((name) => `cp -a ${shellQuote(`${config.remotePath}/${name}`)} ${shellQuote(`${dir}/functions/${name}`)}`),
+    `printf '%s' ${shellQuote(JSON.stringify(release))} > ${shellQuote(`${dir}/release.json`)}`,
+    ...pruned.map((r) => `rm -rf ${shellQuote(`${releasesPath()}/${r.id}`)}`),
+  ].join(' && ')]);
+  return result.ok ? { ok: true, release, pruned } : { ok: false, error: result.stderr || 'Could not record the release' };
+}
+
+// Before a deploy: read the releases and make sure every remote folder that's about to be
+// replaced (the function and the folders it imports from) has one (the first deploy with shsu records the existing versions as "initial").
+// Returns { releases, before } where `before` is the state to restore if the deploy fails.
+async function prepareRelease(funcName, dependencyFolders = []) {
+  // Checked here too, so an invalid value stops the deploy before anything is synced
+  const { error: keepError } = getKeepReleases();
+  if (keepError) return { error: keepError };
+  const { releases, remoteFunctions, error: readError } = await readReleases();
+  if (readError) return { error: readError };
+
+  const affected = funcName ? [funcName, ...dependencyFolders] : [...new Set([...remoteFunctions, ...deployTargets()])];
+  const state = releaseState(releases);
+  const untracked = affected.filter((name) => remoteFunctions.includes(name) && state[name] === undefined);
+  if (untracked.length) {
+    const initial = await recordRelease(releases, { functions: untracked, type: 'initial' });
+    if (!initial.ok) return { error: initial.error };
+    releases.push(initial.release);
+  }
+
+  const current = releaseState(releases);
+  return { releases, before: Object.fromEntries(affected.map((name) => [name, current[name] ?? null])) };
+}
+
+// Put each function back to the version in the given release, or remove it for null.
+// The secrets file is left alone, since it's managed separately from deploys.
+function restoreReleases(state) {
+  const commands = Object.entries(state).map(([name, id]) => {
+    const target = shellQuote(`${config.remotePath}/${name}`);
+    return id
+      ? `rm -rf ${target} && cp -a ${shellQuote(`${releasesPath()}/${id}/functions/${name}`)} ${target}`
+      : `rm -rf ${target}`;
+  });
+  if (!commands.length) return Promise.resolve({ ok: true, stdout: '', stderr: '' });
+  return capture('ssh', [config.server, commands.join(' && ')]);
+}
+
+function formatRelease(release, live) {
+  const when = release.createdAt.replace('T', ' ').slice(0, 16);
+  const git = release.commit ? `${release.commit}${release.branch ? ` (${release.branch}${release.dirty ? ', dirty' : ''})` : ''}` : 'no git';
+  const type = release.type === 'rollback' ? `rollback to ${release.rollbackTo}` : release.type;
+  const functions = [...release.functions, ...(release.removed || []).map((name) => `-${name}`)].join(', ');
+  return `  ${release.id.padEnd(16)}  ${when}  ${type.padEnd(10)}  ${git}  ${release.user}@${release.host}  ${functions}${live ? '  ← live' : ''}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Ignore rules (.shsuignore files and the exclude config, as rsync filters)
+// ─────────────────────────────────────────────────────────────
+const IGNORE_FILE = '.shsuignore';
+const DEFAULT_EXCLUDES = ['*.test.ts', '*.spec.ts'];
+
+// gitignore syntax: [{ pattern, negated }] in file order
+function parseIgnore(lines) {
+  return lines
+    .map((line) => line.replace(/(?<!\\)\s+$/, ''))
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => ({
+      pattern: line.replace(/^!/, '').replace(/^\\([#!])/, '$1'),
+      negated: line.startsWith('!'),
+    }));
+}
+
+function readIgnoreFile(dir) {
+  const path = join(dir, IGNORE_FILE);
+  return existsSync(path) ? parseIgnore(readFileSync(path, 'utf-8').split('\n')) : [];
+}
+
+// `exclude` is a list or comma-separated string of patterns, relative to localPath
+function configExcludes() {
+  const value = config.exclude ?? [];
+  return parseIgnore(Array.isArray(value) ? value.map(String) : String(value).split(','));
+}
+
+const globSegment = (glob) => new RegExp(`^${glob
+  .replace(/[.+^${}()|\\]/g, '\\$&')
+  .replace(/\*/g, '[^/]*')
+  .replace(/\?/g, '[^/]')}$`);
+
+// rsync filter rules for a pattern from an ignore file in `dir` (relative to the transfer
+// root, '' for the root itself). Like in gitignore, a pattern without a slash (or starting
+// with **/) matches at any depth, anything else is relative to the ignore file's folder.
+function ignoreToFilters({ pattern, negated }, dir = '') {
+  const type = negated ? '+' : '-';
+  const suffix = pattern.endsWith('/') ? '/' : '';
+  const path = pattern.replace(/\/+$/, '');
+  const base = dir ? `/${dir}/` : '/';
+  if (!path.startsWith('**/') && path.includes('/')) {
+    return [`${type} ${base}${path.replace(/^\//, '')}${suffix}`];
+  }
+  const name = path.replace(/^\*\*\//, '');
+  if (!dir && !name.includes('/')) return [`${type} ${name}${suffix}`];
+  return [`${type} ${base}${name}${suffix}`, `${type} ${base}**/${name}${suffix}`];
+}
+
+// A pattern relative to localPath, made relative to one function's folder (for single-function
+// syncs). Returns null if it can only match other functions.
+function patternForFunction({ pattern, negated }, funcName) {
+  const path = pattern.replace(/\/+$/, '');
+  if (path.startsWith('**/') || !path.includes('/')) return { pattern, negated };
+  const [first, ...rest] = path.replace(/^\//, '').split('/');
+  if (!globSegment(first).test(funcName)) return null;
+  return rest.length
+    ? { pattern: `/${rest.join('/')}${pattern.endsWith('/') ? '/' : ''}`, negated }
+    : { pattern: '*', negated };
+}
+
+// rsync --filter rules for syncing one function, or all of localPath. Later patterns win in
+// gitignore and the first matching rule wins in rsync, so the most specific rules go first:
+// function .shsuignore, root .shsuignore, the exclude config, then the defaults.
+// Excluded paths are never deleted on the server either, which keeps the secrets file in
+// place when it lives inside remotePath.
+function deployFilters(funcName) {
+  const rootPatterns = [
+    ...parseIgnore(DEFAULT_EXCLUDES),
+    ...configExcludes(),
+    ...readIgnoreFile(config.localPath),
+  ];
+
+  let layers;
+  if (funcName) {
+    layers = [
+      ...rootPatterns.map((p) => patternForFunction(p, funcName)).filter(Boolean).map((p) => [p, '']),
+      ...readIgnoreFile(join(config.localPath, funcName)).map((p) => [p, '']),
+    ];
+  } else {
+    const functions = existsSync(config.localPath)
+      ? readdirSync(config.localPath, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name)
+      : [];
+    layers = [
+      ...rootPatterns.map((p) => [p, '']),
+      ...functions.flatMap((name) => readIgnoreFile(join(config.localPath, name)).map((p) => [p, name])),
+    ];
+  }
+
+  const rules = [`- ${IGNORE_FILE}`];
+  const prefix = `${config.remotePath.replace(/\/$/, '')}/`;
+  if (!funcName && config.secretsFile?.startsWith(prefix)) {
+    rules.push(`- /${config.secretsFile.slice(prefix.length)}`);
+  }
+  return [...rules, ...layers.reverse().flatMap(([pattern, dir]) => ignoreToFilters(pattern, dir))];
+}
+
+// ─────────────────────────────────────────────────────────────
+// Function dependencies (local files outside the function folder, e.g. _shared)
+// ─────────────────────────────────────────────────────────────
+const IMPORT_PATTERN = /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]|import\s*\(\s*['"]([^'"]+)['"]\s*\)|import\s+['"]([^'"]+)['"]/g;
+const SOURCE_EXTENSIONS = /\.(ts|tsx|js|jsx|mjs|mts)$/;
+const IMPORT_MAP_FILES = ['deno.json', 'deno.jsonc', 'import_map.json'];
+
+function readJsonc(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8').replace(/^\s*\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, ''));
+  } catch (e) {
+    return null;
+  }
+}
+
+// The nearest deno.json / import_map.json with "imports", from the function folder up to
+// localPath. Returns { files, imports, base } (files: every config file involved).
+function findImportMap(funcDir) {
+  const root = resolve(config.localPath);
+  for (let dir = funcDir; dir.startsWith(root); dir = dirname(dir)) {
+    for (const file of IMPORT_MAP_FILES) {
+      const path = join(dir, file);
+      const json = existsSync(path) && readJsonc(path);
+      if (!json) continue;
+      if (json.imports) return { files: [path], imports: json.imports, base: dir };
+      if (json.importMap) {
+        const mapPath = resolve(dir, json.importMap);
+        const map = existsSync(mapPath) && readJsonc(mapPath);
+        if (map?.imports) return { files: [path, mapPath], imports: map.imports, base: dirname(mapPath) };
+      }
+    }
+    if (dir === root) break;
+  }
+  return { files: [], imports: {}, base: funcDir };
+}
+
+// Local file a specifier points to, or null for remote/npm/jsr/node modules
+function resolveImport(specifier, fromFile, importMap) {
+  const mapped = importMap.imports[specifier]
+    ?? Object.entries(importMap.imports)
+      .filter(([key]) => key.endsWith('/') && specifier.startsWith(key))
+      .sort(([a], [b]) => b.length - a.length)
+      .map(([key, value]) => value + specifier.slice(key.length))[0];
+  if (mapped !== undefined) {
+    return /^\.{0,2}\//.test(mapped) ? resolve(importMap.base, mapped) : null;
+  }
+  return /^\.{1,2}\//.test(specifier) ? resolve(dirname(fromFile), specifier) : null;
+}
+
+// Follows relative and import-mapped imports from the function's entrypoint. Returns
+// { files, folders, outside }: files in localPath but outside the function folder (relative
+// to localPath), their top-level folders, and imported files outside localPath.
+function functionDependencies(funcName) {
+  const root = resolve(config.localPath);
+  const funcDir = resolve(root, funcName);
+  const entry = findEntrypoint(funcDir);
+  if (!entry) return { files: [], folders: [], outside: [] };
+
+  const importMap = findImportMap(funcDir);
+  const seen = new Set();
+  const queue = [entry, ...importMap.files];
+  while (queue.length) {
+    const file = queue.shift();
+    if (seen.has(file) || !existsSync(file) || !statSync(file).isFile()) continue;
+    seen.add(file);
+    if (!SOURCE_EXTENSIONS.test(file)) continue;
+    for (const m of readFileSync(file, 'utf-8').matchAll(IMPORT_PATTERN)) {
+      const resolved = resolveImport(m[1] || m[2] || m[3], file, importMap);
+      if (resolved) queue.push(resolved);
+    }
+  }
+
+  const external = [...seen].filter((file) => !file.startsWith(`${funcDir}${sep}`));
+  const files = external.filter((file) => file.startsWith(`${root}${sep}`)).map((file) => relative(root, file).split(sep).join('/'));
+  return {
+    files,
+    folders: [...new Set(files.filter((file) => file.includes('/')).map((file) => file.split('/')[0]))],
+    outside: external.filter((file) => !file.startsWith(`${root}${sep}`)),
+  };
+}
+
+// rsync arguments for syncing dependency files (listed in `listFile`, relative to localPath)
+function dependencyRsyncArgs(listFile) {
+  return [
+    '-avz', `--files-from=${listFile}`,
+    ...deployFilters().map((rule) => `--filter=${rule}`),
+    `${config.localPath}/`,
+    `${config.server}:${config.remotePath}/`,
+  ];
+}
+
+// Calls fn with the path of a temporary file listing `files`, one per line
+async function withFileList(files, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'shsu-'));
+  try {
+    const listFile = join(dir, 'files');
+    writeFileSync(listFile, `${files.join('\n')}\n`);
+    return await fn(listFile);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Deploy preview (rsync dry run)
+// ─────────────────────────────────────────────────────────────
+// rsync arguments for deploying one function, or all of localPath
+function deployRsyncArgs(funcName) {
+  const filters = deployFilters(funcName).map((rule) => `--filter=${rule}`);
+  if (funcName) {
+    return ['-avz', ...filters, `${join(config.localPath, funcName)}/`, `${config.server}:${config.remotePath}/${funcName}/`];
+  }
+  return ['-avz', '--delete', ...filters, `${config.localPath}/`, `${config.server}:${config.remotePath}/`];
+}
+
+// What a deploy would change, per function: Map<name, { added, changed, deleted, created, removed }>.
+// Files at the top of localPath are listed under ''. A single-function deploy includes the
+// files it imports from outside its folder. Returns { changes } or { error }.
+async function planDeploy(funcName) {
+  // --checksum so files that only differ in modification time don't show up as changed
+  const dryRun = ['--dry-run', '--itemize-changes', '--checksum'];
+  const result = await capture('rsync', [...dryRun, ...deployRsyncArgs(funcName)]);
+  if (!result.ok) return { error: result.stderr || 'rsync failed' };
+
+  const changes = new Map();
+  addItemizedChanges(changes, result.stdout, funcName);
+
+  const dependencies = funcName ? functionDependencies(funcName).files : [];
+  if (dependencies.length) {
+    const deps = await withFileList(dependencies, (listFile) => capture('rsync', [...dryRun, ...dependencyRsyncArgs(listFile)]));
+    if (!deps.ok) return { error: deps.stderr || 'rsync failed' };
+    addItemizedChanges(changes, deps.stdout);
+  }
+  return { changes };
+}
+
+// Parses `rsync --itemize-changes` output; paths are relative to the function folder if
+// funcName is given, else to localPath
+function addItemizedChanges(changes, output, funcName) {
+  const entry = (name) => {
+    if (!changes.has(name)) changes.set(name, { added: [], changed: [], deleted: [], created: false, removed: false });
+    return changes.get(name);
+  };
+  for (const line of output.split('\n')) {
+    const m = line.match(/^(\*deleting|[<>ch.][fdL][^ ]*)\s+(.+)$/);
+    if (!m) continue;
+    const [, flags, path] = m;
+    const parts = path.replace(/\/$/, '').split('/');
+    const [name, file] = funcName ? [funcName, parts.join('/')] : parts.length > 1 ? [parts[0], parts.slice(1).join('/')] : [path.endsWith('/') ? parts[0] : '', parts[0]];
+    const isDir = path.endsWith('/');
+
+    if (flags === '*deleting') {
+      if (isDir && !funcName && parts.length === 1) entry(name).removed = true;
+      else if (!isDir) entry(name).deleted.push(file);
+    } else if (flags[1] === 'd') {
+      if (flags.includes('+') && !funcName && parts.length === 1) entry(name).created = true;
+    } else if (flags[0] === '<' || flags[0] === 'c') {
+      entry(name)[flags.includes('+++') ? 'added' : 'changed'].push(file);
+    }
+  }
+}
+
+function formatDeployPlan(changes) {
+  const lines = [];
+  for (const [name, { added, changed, deleted, created, removed }] of [...changes].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`${name || `(${config.localPath})`}${created ? ' (new function)' : ''}${removed ? ' (function removed from the server)' : ''}`);
+    lines.push(
+      ...added.map((file) => `  + ${file}`),
+      ...changed.map((file) => `  ~ ${file}`),
+      ...deleted.map((file) => `  - ${file}`),
+    );
+  }
+  return lines.join('\n');
+}
+
+// Unified diff of a changed file, remote version against the local one
+async function diffDeployFile(name, file) {
+  const path = name ? `${name}/${file}` : file;
+  const local = readFileSync(join(config.localPath, path), 'utf-8');
+  const remote = await capture('ssh', [config.server, `cat ${shellQuote(`${config.remotePath}/${path}`)}`], { trim: false });
+  if (!remote.ok) return `Could not read ${config.server}:${config.remotePath}/${path}`;
+  if (local.includes('\0') || remote.stdout.includes('\0')) return `Binary file ${path} differs`;
+  // Both sides are split the same way, so only the final newline is dropped
+  const lines = (text) => text.replace(/\n$/, '').split('\n');
+  return formatDiff(diffLines(lines(remote.stdout), lines(local)), {
+    from: `${config.server}:${config.remotePath}/${path}`,
+    to: join(config.localPath, path),
+  });
+}
+
+// Preview of a deploy with content diffs; returns the changes, or null if there are none
+async function printDeployPlan(funcName) {
+  requireServer();
+  if (funcName && !existsSync(join(config.localPath, funcName))) {
+    error(`Function not found: ${join(config.localPath, funcName)}`);
+  }
+
+  const { changes, error: planError } = await planDeploy(funcName);
+  if (planError) {
+    error(`Could not compare with the server:\n${planError}`);
+  }
+  if (!changes.size) {
+    success(`No changes${funcName ? ` in ${funcName}` : ''} - the server is up to date`);
+    return null;
+  }
+
+  const colors = { '+': c.green, '~': c.yellow, '-': c.red };
+  console.log('');
+  for (const line of formatDeployPlan(changes).split('\n')) {
+    console.log(line.startsWith('  ') ? `  ${colors[line[2]](line[2])}${line.slice(3)}` : c.blue(line));
+  }
+  console.log('');
+  for (const [name, { changed }] of changes) {
+    for (const file of changed) {
+      const diff = await diffDeployFile(name, file);
+      if (!diff) continue;
+      printDiff(diff);
+      console.log('');
+    }
+  }
+  return changes;
+}
+
+// Remote functions a full deploy would delete
+async function removedFunctions() {
+  const { changes, error: planError } = await planDeploy();
+  if (planError) {
+    error(`Could not compare with the server:\n${planError}`);
+  }
+  return [...changes].filter(([, change]) => change.removed).map(([name]) => name);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Logs (edge-runtime output, attributed to functions)
+// ─────────────────────────────────────────────────────────────
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// The main service logs this before handing a request to a function's worker
+const SERVING_PATTERN = /serving the request with \/home\/deno\/functions\/([^/\s]+)/;
+const LEVEL_PREFIX = /^\s*\[?(debug|info|log|warn|warning|error)\]?[:\s]/i;
+const RUNTIME_ERROR = /^\s*(event loop error|worker boot error|InvalidWorkerCreation|Uncaught|error:)/i;
+
+const LOG_TIME_HINT = 'use e.g. 30m, 1h, 2d or 2024-01-31T12:00:00Z';
+
+// 1h, 30m, 2d -> a duration docker understands; timestamps are passed through. null if invalid.
+function parseLogTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const m = String(value).match(/^(\d+)(s|m|h|d)$/);
+  if (m) return m[2] === 'd' ? `${m[1] * 24}h` : value;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) return value;
+  return null;
+}
+
+function containerLogsCommand(containerFilter, { follow = false, tail, since, until } = {}) {
+  const flags = [
+    '--timestamps',
+    follow && '-f',
+    tail !== undefined && `--tail ${Number(tail)}`,
+    since && `--since ${shellQuote(since)}`,
+    until && `--until ${shellQuote(until)}`,
+  ].filter(Boolean).join(' ');
+  return `docker logs ${flags} ${containerId(containerFilter)}`;
+}
+
+// One log line -> { time, function, level, message, stream }. `state` carries the function
+// that was served last, since worker output doesn't name its function. Concurrent requests
+// can make this attribution approximate.
+function parseLogLine(line, stream, state) {
+  const m = line.match(/^(\d{4}-\d{2}-\d{2}T\S+Z) (.*)$/);
+  const [time, message] = m ? [m[1], m[2]] : [null, line];
+  const served = message.match(SERVING_PATTERN);
+  if (served) state.function = served[1];
+
+  // The main service logs the request markers with console.error, so they arrive on stderr
+  const prefix = message.match(LEVEL_PREFIX)?.[1].toLowerCase();
+  const level = served ? 'info'
+    : prefix === 'warning' ? 'warn'
+      : prefix === 'log' ? 'info'
+        : prefix || (RUNTIME_ERROR.test(message) ? 'error' : stream === 'stderr' ? 'error' : 'info');
+  return { time, function: state.function ?? null, level, message, stream };
+}
+
+// Postgres lines ("2024-01-31 12:00:00.123 UTC [42] ERROR:  ...") -> the same shape as
+// edge-runtime entries. DETAIL/HINT/STATEMENT/CONTEXT lines take the level of their message.
+const PG_LEVELS = { DEBUG: 'debug', LOG: 'info', INFO: 'info', NOTICE: 'info', WARNING: 'warn', ERROR: 'error', FATAL: 'error', PANIC: 'error' };
+
+function parseDbLogLine(line, stream, state) {
+  const m = line.match(/^(\d{4}-\d{2}-\d{2}T\S+Z) (.*)$/);
+  const [time, message] = m ? [m[1], m[2]] : [null, line];
+  const severity = message.match(/\b(DEBUG\d?|LOG|INFO|NOTICE|WARNING|ERROR|FATAL|PANIC|DETAIL|HINT|STATEMENT|CONTEXT|QUERY):\s/)?.[1];
+  if (severity && !['DETAIL', 'HINT', 'STATEMENT', 'CONTEXT', 'QUERY'].includes(severity)) {
+    state.level = PG_LEVELS[severity.replace(/\d$/, '')];
+  }
+  return { time, function: null, level: state.level ?? 'info', message, stream };
+}
+
+function matchesLogFilter(entry, { func, level, grep } = {}) {
+  if (func && entry.function !== func) return false;
+  if (level && LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(level)) return false;
+  if (grep && !entry.message.toLowerCase().includes(grep.toLowerCase())) return false;
+  return true;
+}
+
+function formatLogEntry(entry, { colors = true, showFunction = true } = {}) {
+  const paint = colors ? c : { red: String, yellow: String, blue: String, dim: String };
+  const time = entry.time ? entry.time.replace('T', ' ').slice(0, 19) : ''.padEnd(19);
+  const message = entry.level === 'error' ? paint.red(entry.message)
+    : entry.level === 'warn' ? paint.yellow(entry.message)
+      : SERVING_PATTERN.test(entry.message) ? paint.dim(entry.message) : entry.message;
+  return `${paint.dim(time)} ${showFunction ? `${paint.blue(`[${entry.function ?? 'runtime'}]`)} ` : ''}${message}`;
+}
+
+// Sort key for a docker timestamp (nanoseconds are written without trailing zeros)
+const logTimeKey = (line) => {
+  const m = line.match(/^(\S+?)(?:\.(\d+))?Z /);
+  return m ? `${m[1]}.${(m[2] || '').padEnd(9, '0')}` : '';
+};
+
+// Runs `docker logs` for a container on the server and calls onEntry for each matching line
+// (parse: parseLogLine or parseDbLogLine). stdout and
+// stderr arrive separately, so without --follow the lines are merged by time first.
+// Resolves with { ok, stderr } when the command ends.
+function readLogs({ container, parse }, options, filter, onEntry) {
+  const proc = spawn('ssh', [config.server, containerLogsCommand(container, options)], { stdio: ['ignore', 'pipe', 'pipe'] });
+  const state = {};
+  const handle = ({ line, stream }) => {
+    const entry = parse(line, stream, state);
+    if (matchesLogFilter(entry, filter)) onEntry(entry);
+  };
+
+  const buffered = [];
+  const closed = ['stdout', 'stderr'].map((stream) => new Promise((resolve) => {
+    createInterface({ input: proc[stream] })
+      .on('line', (line) => (options.follow ? handle({ line, stream }) : buffered.push({ line, stream })))
+      .on('close', resolve);
+  }));
+  const exited = new Promise((resolve) => {
+    proc.on('close', (code) => resolve({ ok: code === 0 }));
+    proc.on('error', (e) => resolve({ ok: false, stderr: e.message }));
+  });
+
+  return Promise.all([exited, ...closed]).then(([result]) => {
+    buffered
+      .map((item, i) => ({ ...item, key: logTimeKey(item.line), i }))
+      .sort((a, b) => a.key.localeCompare(b.key) || a.i - b.i)
+      .forEach(handle);
+    return result;
+  });
+}
+
+const MAX_LOG_RESPONSE = 20000;
+
+// Log entries as tool response text, newest last, dropping the oldest lines beyond the size limit
+function formatLogResponse({ entries, total }, { label, showFunction = true }) {
+  if (!entries.length) return `No matching ${label} lines.`;
+  const lines = entries.map((entry) => formatLogEntry(entry, { colors: false, showFunction }));
+  let size = 0;
+  let start = lines.length;
+  while (start > 0 && size + lines[start - 1].length + 1 <= MAX_LOG_RESPONSE) size += lines[--start].length + 1;
+  const shown = lines.length - start;
+  const note = shown < total
+    ? `(showing the last ${shown} of ${total} matching lines${start ? ', limited by response size' : ''} - narrow it down with since/until, level or lines)\n`
+    : '';
+  return `${note}${lines.slice(start).join('\n')}`;
+}
+
+// Last `lines` matching entries without following, for tool responses. Filtering happens
+// after docker's --tail, so more lines are read when a filter could drop some.
+// Returns { entries, total } or { error }.
+async function recentLogs(source, { lines = 100, since, until, ...filter }) {
+  const options = { since: parseLogTime(since), until: parseLogTime(until) };
+  if (options.since === null || options.until === null) {
+    return { error: `Invalid ${options.since === null ? 'since' : 'until'} (${LOG_TIME_HINT})` };
+  }
+  if (filter.level && !LOG_LEVELS.includes(filter.level)) {
+    return { error: `Invalid level: ${filter.level} (expected ${LOG_LEVELS.join(', ')})` };
+  }
+  const filtered = filter.func || filter.level || filter.grep;
+  options.tail = options.since ? undefined : filtered ? Math.max(lines * 20, 2000) : lines;
+
+  const entries = [];
+  const result = await readLogs(source, options, filter, (entry) => entries.push(entry));
+  if (!result.ok && !entries.length) return { error: result.stderr || 'Could not read the logs' };
+  return { entries: entries.slice(-lines), total: entries.length };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Invoking functions (fetch requests to <url>/functions/v1/<name>)
+// ─────────────────────────────────────────────────────────────
+// The edge runtime's default wall clock limit
+const INVOKE_TIMEOUT = 150_000;
+const MAX_INVOKE_RESPONSE = 20000;
+
+// ["Name: value"] / ["key=value"] from the command line, or an object from a tool call -> [[name, value]]
+function optionEntries(value, separator) {
+  if (!value) return [];
+  if (!Array.isArray(value)) return Object.entries(value).map(([name, v]) => [name, String(v)]);
+  return value.map((item) => {
+    const index = item.indexOf(separator);
+    if (index < 1) return [item, null];
+    const rest = item.slice(index + 1);
+    return [item.slice(0, index).trim(), separator === ':' ? rest.trim() : rest];
+  });
+}
+
+// Request body for --data: inline text, or @path to send a file. JSON is sent as application/json.
+function invokeBody(data) {
+  if (data.startsWith('@')) {
+    const path = data.slice(1);
+    if (!existsSync(path)) return { error: `File not found: ${path}` };
+    return { body: readFileSync(path), type: path.endsWith('.json') ? 'application/json' : 'application/octet-stream' };
+  }
+  try {
+    JSON.parse(data);
+    return { body: data, type: 'application/json' };
+  } catch (e) {
+    return { body: data, type: 'text/plain;charset=UTF-8' };
+  }
+}
+
+// multipart/form-data from key=value fields; key=@path uploads the file
+function invokeForm(fields) {
+  const form = new FormData();
+  for (const [name, value] of optionEntries(fields, '=')) {
+    if (value === null) return { error: `Invalid form field: ${name} (expected key=value or key=@file)` };
+    if (!value.startsWith('@')) {
+      form.append(name, value);
+      continue;
+    }
+    const path = value.slice(1);
+    if (!existsSync(path)) return { error: `File not found: ${path}` };
+    form.append(name, new Blob([readFileSync(path)]), basename(path));
+  }
+  return { form };
+}
+
+// Authorization and apikey headers. `auth` picks the project key ('anon' or 'service-role');
+// `user` is a user's access token, sent with the anon key (or the chosen one) as apikey.
+function invokeAuthHeaders({ auth, user }) {
+  if (auth && auth !== 'anon' && auth !== 'service-role') {
+    return { error: `Invalid auth: ${auth} (expected anon or service-role)` };
+  }
+  const keyName = auth === 'service-role' ? 'serviceRoleKey' : 'anonKey';
+  const key = config[keyName];
+  if (auth && !key) {
+    return { error: `Missing required config: ${keyName} / ${envVarName(keyName)} or ${CONFIG_ENV_ALIASES[keyName]} (see 'shsu env')` };
+  }
+  const headers = {};
+  if (user || auth) headers.Authorization = `Bearer ${user || key}`;
+  if ((user || auth) && key) headers.apikey = key;
+  return { headers };
+}
+
+// Builds the fetch request for a function. Options: method, headers, query, data, form, auth, user.
+// Without a method it's a POST, with {} as the body unless data or form is given.
+// Returns { url, method, headers, body } or { error }
+function buildInvokeRequest(funcName, { method, headers = [], query = [], data, form, auth, user } = {}) {
+  const url = new URL(`${config.url.replace(/\/$/, '')}/functions/v1/${funcName}`);
+  if (Array.isArray(query)) {
+    for (const item of query) new URLSearchParams(item).forEach((value, name) => url.searchParams.append(name, value));
+  } else {
+    for (const [name, value] of Object.entries(query)) url.searchParams.append(name, String(value));
+  }
+
+  method = (method || 'POST').toUpperCase();
+  const hasForm = form && Object.keys(form).length > 0;
+  if (data !== undefined && hasForm) return { error: 'Use either data or form, not both' };
+  if ((method === 'GET' || method === 'HEAD') && (data !== undefined || hasForm)) {
+    return { error: `A ${method} request can't have a body` };
+  }
+
+  const request = { url: url.toString(), method, headers: new Headers() };
+  if (hasForm) {
+    const result = invokeForm(form);
+    if (result.error) return result;
+    request.body = result.form;
+  } else if (data !== undefined || method === 'POST') {
+    const result = invokeBody(data ?? '{}');
+    if (result.error) return result;
+    request.body = result.body;
+    request.headers.set('Content-Type', result.type);
+  }
+
+  const authHeaders = invokeAuthHeaders({ auth, user });
+  if (authHeaders.error) return authHeaders;
+  try {
+    for (const [name, value] of Object.entries(authHeaders.headers)) request.headers.set(name, value);
+    for (const [name, value] of optionEntries(headers, ':')) {
+      if (value === null) return { error: `Invalid header: ${name} (expected "Name: value")` };
+      request.headers.set(name, value);
+    }
+  } catch (e) {
+    return { error: `Invalid header: ${e.message}` };
+  }
+  return request;
+}
+
+// Returns { status, statusText, headers: [[name, value]], body, ms, headersMs } or { error }
+async function sendInvokeRequest({ url, method, headers, body }) {
+  const started = performance.now();
+  try {
+    const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(INVOKE_TIMEOUT) });
+    const headersMs = Math.round(performance.now() - started);
+    const text = await res.text();
+    return {
+      status: res.status,
+      statusText: res.statusText,
+      headers: [...res.headers],
+      body: text,
+      ms: Math.round(performance.now() - started),
+      headersMs,
+    };
+  } catch (e) {
+    const reason = e.name === 'TimeoutError' ? `no response after ${INVOKE_TIMEOUT / 1000}s` : e.cause?.message || e.message;
+    return { error: `${method} ${url} failed: ${reason}` };
+  }
+}
+
+// JSON bodies are pretty-printed; everything else is returned as is
+function formatInvokeBody(response) {
+  const type = response.headers.find(([name]) => name === 'content-type')?.[1] || '';
+  if (!type.includes('json')) return response.body;
+  try {
+    return JSON.stringify(JSON.parse(response.body), null, 2);
+  } catch (e) {
+    return response.body;
+  }
+}
+
+// Status line with timing, then the response headers (if `include`) and the body
+function formatInvokeResponse(response, { include = false, colors = true } = {}) {
+  const paint = colors ? c : { red: String, green: String, dim: String };
+  const status = `HTTP ${response.status} ${response.statusText}`.trim();
+  const lines = [
+    `${response.status < 400 ? paint.green(status) : paint.red(status)}  ${paint.dim(`(${response.ms} ms, headers after ${response.headersMs} ms)`)}`,
+  ];
+  if (include) lines.push(...response.headers.map(([name, value]) => paint.dim(`${name}: ${value}`)));
+  const body = formatInvokeBody(response);
+  if (body) lines.push('', body);
+  return lines.join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────
+// Doctor (setup and connectivity checks)
+// ─────────────────────────────────────────────────────────────
+// Never prompt for a password or host key, and give up on unreachable servers quickly
+const DOCTOR_SSH_OPTIONS = ['-o', 'BatchMode=yes', '-o', 'ConnectTimeout=10'];
+const DOCTOR_TIMEOUT = 30_000;
+
+// First line of a local tool's version output, or null if it isn't installed
+function toolVersion(cmd, args = ['--version']) {
+  const result = spawnSync(cmd, args, { encoding: 'utf-8', timeout: DOCTOR_TIMEOUT });
+  if (result.status !== 0) return null;
+  return `${result.stdout || ''}${result.stderr || ''}`.trim().split('\n')[0];
+}
+
+// Running containers matching a name filter: [{ id, name }]
+async function findContainers(filter) {
+  const result = await capture('ssh', [
+    ...DOCTOR_SSH_OPTIONS,
+    config.server,
+    `docker ps --filter ${shellQuote(`name=${filter}`)} --format '{{.ID}} {{.Names}}'`,
+  ], { timeout: DOCTOR_TIMEOUT });
+  if (!result.ok) return { error: result.stderr || 'docker ps failed' };
+  const containers = result.stdout.split('\n').filter(Boolean).map((line) => {
+    const [id, name] = line.split(' ');
+    return { id, name };
+  });
+  return { containers };
+}
+
+// Runs every check, skipping the ones that depend on a failed one.
+// Returns [{ name, status: 'pass' | 'warn' | 'fail' | 'skip', detail, hint }]
+async function runDoctor() {
+  const results = [];
+  const add = (name, status, detail, hint) => results.push({ name, status, detail, hint });
+  const remote = (command) => capture('ssh', [...DOCTOR_SSH_OPTIONS, config.server, command], { timeout: DOCTOR_TIMEOUT });
+
+  // Local tools
+  const ssh = toolVersion('ssh', ['-V']);
+  add('ssh', ssh ? 'pass' : 'fail', ssh || 'not found', 'Install an OpenSSH client');
+  const rsync = toolVersion('rsync');
+  add('rsync', rsync ? 'pass' : 'fail', rsync || 'not found', 'Install rsync (e.g. apt install rsync, brew install rsync)');
+  const deno = toolVersion('deno');
+  add('deno', deno ? 'pass' : 'warn', deno || 'not found - pre-deploy checks are skipped and serve needs Docker', 'Install Deno: https://deno.com');
+
+  // Config
+  const missing = ['server', 'remotePath'].filter((key) => !config[key]);
+  add('config', missing.length ? 'fail' : 'pass',
+    missing.length ? `missing ${missing.join(', ')}` : `${config.server}:${config.remotePath}${config.environment ? ` (environment: ${config.environment})` : ''}`,
+    "Run 'shsu init', or see 'shsu env' for where values come from");
+
+  // Server
+  let loggedIn = false;
+  if (!config.server) {
+    add('ssh login', 'skip', 'server not configured');
+  } else if (!ssh) {
+    add('ssh login', 'skip', 'ssh not installed');
+  } else {
+    const login = await remote('true');
+    loggedIn = login.ok;
+    add('ssh login', login.ok ? 'pass' : 'fail', login.ok ? config.server : login.stderr || 'login failed',
+      `Check that 'ssh ${config.server}' works without a password prompt (e.g. ssh-copy-id ${config.server})`);
+  }
+
+  let docker = false;
+  if (!loggedIn) {
+    add('docker', 'skip', 'no ssh login');
+  } else {
+    const version = await remote("docker version --format '{{.Server.Version}}'");
+    docker = version.ok;
+    add('docker', version.ok ? 'pass' : 'fail', version.ok ? `Docker ${version.stdout}` : version.stderr || 'docker not available',
+      'Log in as a user that can run docker (root, or a member of the docker group)');
+  }
+
+  let edge = null;
+  for (const [key, label] of [['edgeContainer', 'edge container'], ['dbContainer', 'db container']]) {
+    if (!docker) {
+      add(label, 'skip', 'no docker access');
+      continue;
+    }
+    const { containers, error: err } = await findContainers(config[key]);
+    if (err) {
+      add(label, 'fail', err, 'Check that docker works on the server');
+    } else if (containers.length === 1) {
+      if (key === 'edgeContainer') edge = containers[0];
+      add(label, 'pass', `${containers[0].name} (filter: ${config[key]})`);
+    } else {
+      add(label, 'fail',
+        containers.length ? `filter "${config[key]}" matches ${containers.length} containers: ${containers.map((x) => x.name).join(', ')}` : `no running container matches "${config[key]}"`,
+        `Set ${key} to a part of the name only this container has (see 'docker ps' on the server)`);
+    }
+  }
+
+  if (!loggedIn || !config.remotePath) {
+    add('remotePath', 'skip', loggedIn ? 'remotePath not configured' : 'no ssh login');
+    add('remotePath mount', 'skip', loggedIn ? 'remotePath not configured' : 'no ssh login');
+  } else {
+    const path = config.remotePath.replace(/\/+$/, '') || '/';
+    const resolved = await remote(`cd ${shellQuote(path)} && pwd -P`);
+    add('remotePath', resolved.ok ? 'pass' : 'fail', resolved.ok ? path : `${path} does not exist on the server`,
+      'Find the functions volume with: docker inspect <edge container> ("Mounts")');
+    if (!resolved.ok || !edge) {
+      add('remotePath mount', 'skip', resolved.ok ? 'edge container not found' : 'remotePath missing');
+    } else {
+      const inspect = await remote(`docker inspect --format '{{range .Mounts}}{{.Source}} {{.Destination}}{{println}}{{end}}' ${shellQuote(edge.id)}`);
+      const mounts = inspect.stdout.split('\n').filter(Boolean).map((line) => {
+        const index = line.lastIndexOf(' ');
+        return { source: line.slice(0, index).replace(/\/+$/, ''), destination: line.slice(index + 1) };
+      });
+      const mount = mounts.find(({ source }) => [path, resolved.stdout].includes(source));
+      const functionsMount = mounts.find(({ destination }) => destination === EDGE_FUNCTIONS_DIR);
+      if (!inspect.ok) {
+        add('remotePath mount', 'fail', inspect.stderr || 'docker inspect failed', 'Check that docker works on the server');
+      } else if (mount) {
+        add('remotePath mount', mount.destination === EDGE_FUNCTIONS_DIR ? 'pass' : 'warn', `mounted at ${mount.destination} in ${edge.name}`,
+          `The edge runtime serves functions from ${EDGE_FUNCTIONS_DIR}`);
+      } else {
+        add('remotePath mount', 'fail', `not mounted into ${edge.name}`,
+          functionsMount ? `${EDGE_FUNCTIONS_DIR} is mounted from ${functionsMount.source} - set remotePath to that` : `Mount ${path} at ${EDGE_FUNCTIONS_DIR} in the edge container`);
+      }
+    }
+  }
+
+  if (!config.url) {
+    add('url', 'warn', 'not configured - invoke and post-deploy health checks need it', "Set url to your Supabase URL (see 'shsu env')");
+  } else {
+    const started = performance.now();
+    try {
+      const res = await fetch(config.url, { signal: AbortSignal.timeout(DOCTOR_TIMEOUT) });
+      add('url', res.status < 500 ? 'pass' : 'warn', `${config.url} answered HTTP ${res.status} in ${Math.round(performance.now() - started)} ms`,
+        'The server answers, but with an error - check the Kong / Supabase containers');
+    } catch (e) {
+      const reason = e.name === 'TimeoutError' ? `no response after ${DOCTOR_TIMEOUT / 1000}s` : e.cause?.message || e.message;
+      add('url', 'fail', `${config.url}: ${reason}`, 'Check the URL, DNS and that the Supabase service is running');
+    }
+  }
+
+  return results;
+}
+
+// One line per check; failed and warning checks get their fix hint on the next line
+function formatDoctorResults(results, { colors = true } = {}) {
+  const paint = colors ? c : { red: String, green: String, yellow: String, dim: String };
+  const marks = { pass: paint.green('✓'), warn: paint.yellow('⚠'), fail: paint.red('✗'), skip: paint.dim('-') };
+  const width = Math.max(...results.map((r) => r.name.length));
+  return results.map(({ name, status, detail, hint }) => {
+    const line = `${marks[status]} ${name.padEnd(width)}  ${status === 'skip' ? paint.dim(`skipped: ${detail}`) : detail}`;
+    return (status === 'fail' || status === 'warn') && hint ? `${line}\n  ${' '.repeat(width)}  ${paint.dim(`→ ${hint}`)}` : line;
+  }).join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────
+// Local development server
+// ─────────────────────────────────────────────────────────────
+const EDGE_RUNTIME_IMAGE = 'supabase/edge-runtime:v1.67.4';
+
+// Deno router: imports every function with Deno.serve stubbed out to capture its handler,
+// then serves them all on one port under /functions/v1/<name>
+const DENO_ROUTER = `const [port, rootUrl, only] = Deno.args;
+const handlers = new Map();
+const serve = Deno.serve;
+
+for await (const entry of Deno.readDir(new URL(rootUrl))) {
+  if (!entry.isDirectory || /^[_.]/.test(entry.name) || (only && entry.name !== only)) continue;
+  const index = ['index.ts', 'index.tsx', 'index.js', 'index.mjs']
+    .map((file) => new URL(\`\${entry.name}/\${file}\`, rootUrl))
+    .find((url) => { try { return Deno.statSync(url).isFile; } catch { return false; } });
+  if (!index) continue;
+
+  Deno.serve = (...args) => {
+    const handler = args.find((a) => typeof a === 'function') ?? args.find((a) => typeof a?.handler === 'function')?.handler;
+    handlers.set(entry.name, handler);
+    return { finished: new Promise(() => {}), shutdown: async () => {}, ref() {}, unref() {}, addr: { transport: 'tcp', hostname: '0.0.0.0', port: Number(port) } };
+  };
+  try {
+    const mod = await import(index.href);
+    if (!handlers.has(entry.name) && typeof mod.default?.fetch === 'function') handlers.set(entry.name, mod.default.fetch);
+  } catch (e) {
+    console.error(\`✗ \${entry.name}: \${e.message}\`);
+  }
+}
+Deno.serve = serve;
+
+Deno.serve({ port: Number(port), onListen: () => {} }, async (req, info) => {
+  const name = new URL(req.url).pathname.match(/^\\/functions\\/v1\\/([^/]+)/)?.[1];
+  const handler = name && handlers.get(name);
+  if (!handler) return Response.json({ error: \`Function not found: \${name ?? new URL(req.url).pathname}\` }, { status: 404 });
+  try {
+    return await handler(req, info);
+  } catch (e) {
+    console.error(e);
+    return Response.json({ error: e.message }, { status: 500 });
+  }
+});
+`;
+
+// Main service for the edge-runtime image: a fresh worker per request, so changes apply immediately
+const EDGE_RUNTIME_MAIN = `const only = Deno.env.get('SHSU_SERVE_ONLY');
+
+Deno.serve(async (req) => {
+  const name = new URL(req.url).pathname.match(/^\\/functions\\/v1\\/([^/]+)/)?.[1];
+  if (!name || /^[_.]/.test(name) || (only && name !== only)) {
+    return Response.json({ error: \`Function not found: \${name ?? new URL(req.url).pathname}\` }, { status: 404 });
+  }
+  try {
+    const worker = await EdgeRuntime.userWorkers.create({
+      servicePath: \`/home/deno/functions/\${name}\`,
+      memoryLimitMb: 150,
+      workerTimeoutMs: 60 * 1000,
+      noModuleCache: true,
+      importMapPath: null,
+      envVars: Object.entries(Deno.env.toObject()),
+      forceCreate: true,
+    });
+    return await worker.fetch(req);
+  } catch (e) {
+    console.error(e);
+    return Response.json({ error: e.message }, { status: 500 });
+  }
+});
+`;
+
+// ─────────────────────────────────────────────────────────────
+// Commands
+// ─────────────────────────────────────────────────────────────
+
+async function cmdDeploy(funcName, noRestart = false, { skipChecks = false, skipHealthCheck = false, dryRun = false, yes = false } = {}) {
+  requireServer();
+  checkFunctionName(funcName);
+
+  if (funcName && !existsSync(join(config.localPath, funcName))) {
+    error(`Function not found: ${join(config.localPath, funcName)}`);
+  }
+
+  if (dryRun) {
+    if (await printDeployPlan(funcName)) {
+      info('Dry run - nothing was deployed');
+    }
+    return;
+  }
+
+  if (!skipChecks) {
+    const checks = await runDeployChecks(deployTargets(funcName));
+    if (checks.error) {
+      error(checks.error);
+    } else if (checks.skipped === 'deno not installed') {
+      warn('Skipping pre-deploy checks: deno not installed');
+    } else if (!checks.ok) {
+      console.log(`\n${formatCheckFailures(checks.failures)}\n`);
+      error('Pre-deploy checks failed, nothing was deployed (use --skip-checks to deploy anyway)');
+    }
+  }
+
+  // A full deploy deletes remote functions that aren't in localPath; make sure that's intended
+  if (!funcName && !yes) {
+    const removed = await removedFunctions();
+    if (removed.length) {
+      warn(`This deploy removes ${removed.length} function(s) from the server: ${removed.join(', ')}`);
+      if (!(await confirm('Continue?'))) {
+        error('Deploy cancelled (use --yes to deploy anyway)');
+      }
+    }
+  }
+
+  // Files the function imports from outside its folder (e.g. _shared) are synced along with it
+  const dependencies = funcName ? functionDependencies(funcName) : null;
+  if (dependencies?.outside.length) {
+    warn(`Imported from outside ${config.localPath}, not deployed: ${dependencies.outside.map((file) => relative(process.cwd(), file)).join(', ')}`);
+  }
+
+  // Record the current remote versions first, so a failed deploy can be rolled back
+  const { releases, before, error: releaseError } = await prepareRelease(funcName, dependencies?.folders);
+  if (releaseError) {
+    error(`Could not prepare the release, nothing was deployed: ${releaseError}`);
+  }
+  const targets = noRestart || skipHealthCheck ? null : healthCheckTargets(funcName);
+  if (!noRestart && !skipHealthCheck && !targets) {
+    warn('Skipping health checks: url not configured');
+  }
+
+  info(funcName ? `Deploying ${funcName}...` : 'Deploying all functions...');
+  await run('rsync', deployRsyncArgs(funcName));
+  if (dependencies?.files.length) {
+    info(`Syncing ${dependencies.files.length} imported file(s) from outside ${funcName}...`);
+    await withFileList(dependencies.files, (listFile) => run('rsync', dependencyRsyncArgs(listFile)));
+  }
+
+  if (!noRestart) {
+    info('Restarting edge-runtime...');
+    await restartEdgeRuntime();
+  }
+
+  if (targets?.length) {
+    info(`Checking ${targets.length} function(s)...`);
+    const result = await verifyDeploy(targets, before);
+    console.log(`\n${formatHealthResults(result.results)}\n`);
+    if (result.rolledBack) {
+      console.log(`${c.red('✗')} Health checks failed, rolled back to the previous version`);
+      process.exitCode = 1;
+      return;
+    }
+    if (!result.ok) {
+      console.log(`${c.red('✗')} Health checks failed and the rollback failed too: ${result.rollbackError}`);
+      const previous = Object.entries(before).map(([name, id]) => `${name}: ${id ?? 'none'}`).join(', ');
+      console.log(c.dim(`  The previous versions are in ${config.server}:${releasesPath()} (${previous})`));
+      process.exitCode = 2;
+      return;
+    }
+  }
+
+  const { ok, release, error: recordError } = await recordRelease(releases, {
+    functions: funcName ? [funcName, ...dependencies.folders] : deployTargets(),
+    full: !funcName,
+    type: 'deploy',
+  });
+  if (!ok) {
+    warn(`Could not record the release: ${recordError}`);
+  }
+  const label = `${funcName ? ` ${funcName}` : ''}${ok ? ` (release ${release.id})` : ''}`;
+  if (noRestart) {
+    success(`Synced${label} (no restart)`);
+  } else {
+    success(`Deployed${label}${targets?.length ? ', all health checks passed' : ''}`);
+  }
+}
+
+async function cmdDiff(funcName) {
+  checkFunctionName(funcName);
+  if (await printDeployPlan(funcName)) {
+    warn('Local functions differ from the server (+ added, ~ changed, - deleted by a deploy)');
+    process.exitCode = 1;
+  }
+}
+
+async function cmdDeployWatch(funcName, { noRestart = false, skipChecks = false } = {}) {
+  requireServer();
+  checkFunctionName(funcName);
+
+  const localPath = resolve(config.localPath);
+  if (!existsSync(localPath)) {
+    error(`Functions folder not found: ${config.localPath}`);
+  }
+  if (funcName && !existsSync(join(localPath, funcName))) {
+    error(`Function not found: ${join(config.localPath, funcName)}`);
+  }
+
+  const stamp = () => c.dim(new Date().toLocaleTimeString());
+  const log = (msg) => console.log(`${stamp()} ${msg}`);
+  let watching = true;
+
+  // Edge logs, re-attached after each restart since `docker logs -f` ends when the container stops
+  let logs;
+  let since = null;
+  const followLogs = () => {
+    logs = spawn('ssh', [
+      config.server,
+      `docker logs -f ${since ? `--since ${since}` : '--tail 0'} ${containerId(config.edgeContainer)} 2>&1`,
+    ], { stdio: ['ignore', 'pipe', 'ignore'] });
+    createInterface({ input: logs.stdout }).on('line', (line) => {
+      since = new Date().toISOString();
+      console.log(`${stamp()} ${c.dim('│')} ${line}`);
+    });
+    logs.on('close', () => {
+      since = since || new Date().toISOString();
+      if (watching) setTimeout(followLogs, 1000);
+    });
+  };
+  followLogs();
+
+  // Sync only the functions that changed; restart once per cycle, and only if files were transferred.
+  // Each cycle that changes something is recorded as a release, like a normal deploy.
+  const pending = new Set();
+  let running = false;
+  const deployCycle = async () => {
+    if (running) return;
+    running = true;
+    while (pending.size) {
+      const names = [...pending].sort();
+      pending.clear();
+      const ready = [];
+      for (const name of names) {
+        if (!existsSync(join(localPath, name))) {
+          log(`${c.yellow('⚠')} ${name} was removed locally - run a full 'shsu deploy' to remove it from the server`);
+          continue;
+        }
+        if (!skipChecks) {
+          const checks = await runDeployChecks([name]);
+          if (checks.error) {
+            log(`${c.red('✗')} ${name} not deployed: ${checks.error}`);
+            continue;
+          }
+          if (!checks.ok) {
+            log(`${c.red('✗')} ${name} not deployed, checks failed:\n${formatCheckFailures(checks.failures)}`);
+            continue;
+          }
+        }
+        ready.push(name);
+      }
+      if (!ready.length) continue;
+
+      // Like 'shsu deploy <name>', each function also syncs the files it imports from outside its folder
+      const dependencies = new Map(ready.map((name) => [name, functionDependencies(name)]));
+      const folders = [...new Set([...dependencies.values()].flatMap((d) => d.folders))].filter((f) => !ready.includes(f));
+
+      // Snapshots the server's versions of functions no release tracks yet, before they're overwritten
+      const { releases, error: releaseError } = await prepareRelease(ready[0], [...ready.slice(1), ...folders]);
+      if (releaseError) {
+        log(`${c.red('✗')} Could not prepare the release, nothing was deployed:\n${releaseError}`);
+        continue;
+      }
+
+      const itemized = (stdout) => stdout.split('\n').filter((line) => /^(<f|cd|\*deleting)/.test(line));
+      const deployed = [];
+      const changedFolders = new Set();
+      for (const name of ready) {
+        log(`${c.blue('▸')} Syncing ${name}...`);
+        const result = await capture('rsync', [
+          '-az', '--delete', '--itemize-changes', ...deployFilters(name).map((rule) => `--filter=${rule}`),
+          `${join(localPath, name)}/`,
+          `${config.server}:${config.remotePath}/${name}/`,
+        ]);
+        if (!result.ok) {
+          log(`${c.red('✗')} Sync of ${name} failed:\n${result.stderr}`);
+          continue;
+        }
+        const changes = itemized(result.stdout);
+        const { files } = dependencies.get(name);
+        if (files.length) {
+          const deps = await withFileList(files, (listFile) => capture('rsync', ['--itemize-changes', ...dependencyRsyncArgs(listFile)]));
+          if (!deps.ok) {
+            log(`${c.red('✗')} Sync of the files ${name} imports failed:\n${deps.stderr}`);
+          } else {
+            const depChanges = itemized(deps.stdout);
+            for (const line of depChanges) changedFolders.add(line.split(/\s+/)[1].split('/')[0]);
+            changes.push(...depChanges);
+          }
+        }
+        if (changes.length) {
+          deployed.push(name);
+          log(`${c.green('✓')} Synced ${name} (${changes.length} change(s))`);
+        } else {
+          log(c.dim(`${name}: no changes`));
+        }
+      }
+
+      if (deployed.length) {
+        const recorded = await recordRelease(releases, { functions: [...new Set([...deployed, ...changedFolders])], type: 'deploy' });
+        if (!recorded.ok) log(`${c.yellow('⚠')} Could not record the release: ${recorded.error}`);
+      }
+      if (deployed.length && !noRestart) {
+        log(`${c.blue('▸')} Restarting edge-runtime...`);
+        const result = await capture('ssh', [config.server, restartEdgeCommand()]);
+        log(result.ok
+          ? `${c.green('✓')} Deployed ${deployed.join(', ')}`
+          : `${c.red('✗')} Restart failed:\n${result.stderr}`);
+      } else if (deployed.length) {
+        log(`${c.green('✓')} Synced ${deployed.join(', ')} (no restart)`);
+      }
+    }
+    running = false;
+  };
+
+  let timer;
+  const watcher = watch(localPath, { recursive: true }, (event, file) => {
+    if (!file) return;
+    const name = file.split(sep)[0];
+    if (name.startsWith('.')) return;
+    if (funcName && name !== funcName) {
+      // A file the watched function imports from outside its folder (e.g. _shared) redeploys it
+      if (!functionDependencies(funcName).files.includes(file.split(sep).join('/'))) return;
+    } else if (file === name && existsSync(join(localPath, name)) && !statSync(join(localPath, name)).isDirectory()) {
+      // Files directly in localPath aren't part of a function; new or removed function folders are
+      return;
+    }
+    pending.add(funcName || name);
+    clearTimeout(timer);
+    timer = setTimeout(deployCycle, 300);
+  });
+
+  info(`Watching ${funcName ? join(config.localPath, funcName) : config.localPath} - changed functions deploy automatically${noRestart ? ' (no restart)' : ''}`);
+  console.log(c.dim('  Edge-runtime logs are shown with │. Ctrl+C to exit.\n'));
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      watching = false;
+      watcher.close();
+      logs.kill();
+      resolve();
+    });
+  });
+}
+
+async function cmdLogs(funcName, { tail, since, until, follow = true, level, grep, json = false } = {}) {
+  requireServer();
+
+  if (level && !LOG_LEVELS.includes(level)) {
+    error(`Invalid --level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+  }
+  const options = {
+    since: parseLogTime(since),
+    until: parseLogTime(until),
+    // A window that ends in the past can't be followed
+    follow: follow && !until,
+  };
+  for (const option of ['since', 'until']) {
+    if (options[option] === null) {
+      error(`Invalid --${option}: ${option === 'since' ? since : until} (${LOG_TIME_HINT})`);
+    }
+  }
+  // Without a start time, begin with the last 100 lines
+  options.tail = tail ?? (options.since ? undefined : 100);
+
+  if (!json) {
+    const filters = [funcName && `function: ${funcName}`, level && `level: ${level}+`, grep && `text: ${grep}`].filter(Boolean);
+    info(`${options.follow ? 'Streaming' : 'Showing'} logs${filters.length ? ` (${filters.join(', ')})` : ''}...${options.follow ? ' (Ctrl+C to exit)' : ''}`);
+  }
+
+  const source = { container: config.edgeContainer, parse: parseLogLine };
+  const result = await readLogs(source, options, { func: funcName, level, grep }, (entry) => {
+    console.log(json ? JSON.stringify(entry) : formatLogEntry(entry));
+  });
+  if (!result.ok) {
+    process.exitCode = 1;
+  }
+}
+
+async function cmdList() {
+  requireServer();
+
+  info('Remote functions:');
+  const remote = runSync('ssh', [config.server, `ls -1 ${shellQuote(config.remotePath)} 2>/dev/null`]);
+  if (remote) {
+    remote.split('\n').filter((f) => f && !f.startsWith('_')).forEach((f) => console.log(`  • ${f}`));
+  }
+
+  console.log('');
+  info('Local functions:');
+  if (existsSync(config.localPath)) {
+    readdirSync(config.localPath, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && !d.name.startsWith('_'))
+      .forEach((d) => console.log(`  • ${d.name}`));
+  }
+}
+
+async function cmdInvoke(funcName, { include, ...options } = {}) {
+  requireVar('url');
+
+  if (!funcName) {
+    error('Usage: shsu invoke <function-name> [json-data] [options]');
+  }
+  checkFunctionName(funcName, { subPath: true });
+
+  const request = buildInvokeRequest(funcName, options);
+  if (request.error) error(request.error);
+
+  info(`Invoking ${funcName}... ${c.dim(`${request.method} ${request.url}`)}`);
+  const response = await sendInvokeRequest(request);
+  if (response.error) error(response.error);
+
+  if (include) {
+    console.log(formatInvokeResponse(response, { include: true }));
+  } else {
+    const body = formatInvokeBody(response);
+    if (body) console.log(body);
+  }
+  if (response.status >= 400) {
+    if (!include) console.error(`${c.red('✗')} HTTP ${response.status} ${response.statusText}`);
+    process.exitCode = 1;
+  }
+}
+
+async function cmdSecretsList() {
+  requireServer();
+
+  const { secrets, error: err } = readRemoteSecrets();
+  if (err) {
+    error(err);
+  }
+
+  const names = Object.keys(secrets);
+  if (names.length === 0) {
+    info(`No secrets set (${config.server}:${config.secretsFile})`);
+    return;
+  }
+
+  info(`Secrets (${config.server}:${config.secretsFile}):`);
+  const width = Math.max(...names.map((n) => n.length));
+  for (const name of names) {
+    console.log(`  ${name.padEnd(width)}  ${c.dim(maskSecret(secrets[name]))}`);
+  }
+}
+
+async function cmdSecretsSet(pairs, { envFile, noRestart = false } = {}) {
+  requireServer();
+
+  const updates = {};
+  if (envFile) {
+    if (!existsSync(envFile)) {
+      error(`Env file not found: ${envFile}`);
+    }
+    Object.assign(updates, parseEnv(readFileSync(envFile, 'utf-8')));
+  }
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      error(`Expected KEY=VALUE, got: ${pair.split('=')[0]}`);
+    }
+    updates[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+
+  const names = Object.keys(updates);
+  if (names.length === 0) {
+    error('Usage: shsu secrets set KEY=VALUE [...] | --env-file <file>');
+  }
+  const invalid = validateSecretNames(names);
+  if (invalid) {
+    error(invalid);
+  }
+
+  const { secrets, error: readErr } = readRemoteSecrets();
+  if (readErr) {
+    error(readErr);
+  }
+  const { error: writeErr } = writeRemoteSecrets({ ...secrets, ...updates });
+  if (writeErr) {
+    error(writeErr);
+  }
+  await applySecretsChange(`Set ${names.join(', ')}`, noRestart);
+}
+
+async function cmdSecretsUnset(names, { noRestart = false } = {}) {
+  requireServer();
+
+  if (names.length === 0) {
+    error('Usage: shsu secrets unset KEY [...]');
+  }
+
+  const { secrets, error: readErr } = readRemoteSecrets();
+  if (readErr) {
+    error(readErr);
+  }
+
+  const missing = names.filter((name) => !(name in secrets));
+  if (missing.length) {
+    warn(`Not set: ${missing.join(', ')}`);
+  }
+  const removed = names.filter((name) => name in secrets);
+  if (removed.length === 0) {
+    return;
+  }
+
+  removed.forEach((name) => delete secrets[name]);
+  const { error: writeErr } = writeRemoteSecrets(secrets);
+  if (writeErr) {
+    error(writeErr);
+  }
+  await applySecretsChange(`Unset ${removed.join(', ')}`, noRestart);
+}
+
+// After the secrets file changed: restart, so new workers read it. If the main service doesn't
+// load the file, restarting wouldn't change what functions see, so say that instead.
+async function applySecretsChange(summary, noRestart) {
+  const { loaded, error: err } = secretsLoaded();
+  if (err) {
+    error(err);
+  }
+  if (!loaded) {
+    warn(`${summary} in ${config.secretsFile}, but the ${MAIN_SERVICE} service doesn't load that file - functions still see the old values`);
+    info(`Run 'shsu secrets setup' and deploy ${MAIN_SERVICE} to load it (see 'shsu help')`);
+    process.exitCode = 1;
+    return;
+  }
+  success(summary);
+
+  if (!noRestart) {
+    info('Restarting edge-runtime...');
+    await restartEdgeRuntime();
+    success('Restarted');
+  }
+}
+
+async function cmdSecretsSetup() {
+  requireServer();
+
+  const path = containerSecretsPath();
+  if (!path) {
+    error(`secretsFile (${config.secretsFile}) is outside remotePath, so the edge container can't read it`);
+  }
+
+  const mainDir = join(config.localPath, MAIN_SERVICE);
+  const mainFile = join(mainDir, 'index.ts');
+  if (!existsSync(mainFile)) {
+    info(`Fetching the ${MAIN_SERVICE} service from ${config.server}...`);
+    mkdirSync(mainDir, { recursive: true });
+    await run('rsync', ['-az', `${config.server}:${config.remotePath.replace(/\/+$/, '')}/${MAIN_SERVICE}/`, `${mainDir}/`]);
+    if (!existsSync(mainFile)) {
+      error(`${MAIN_SERVICE}/index.ts not found in ${config.remotePath} - is remotePath the functions volume?`);
+    }
+  }
+
+  const source = readFileSync(mainFile, 'utf-8');
+  if (source.includes(SECRETS_MARKER)) {
+    success(`${mainFile} already loads ${path}`);
+    return;
+  }
+  const { source: patched, error: err } = addSecretsLoader(source, path);
+  if (err) {
+    error(`Could not change ${mainFile} automatically (${err}). Add this function and pass [...envVars, ...shsuSecrets()] as envVars to EdgeRuntime.userWorkers.create():\n${secretsLoader(path)}`);
+  }
+  writeFileSync(mainFile, patched);
+  success(`${mainFile} now passes ${path} to every worker`);
+  info(`Review the change, then deploy it: shsu deploy ${MAIN_SERVICE}`);
+}
+
+async function cmdReleases(funcName) {
+  requireServer();
+  checkFunctionName(funcName);
+  const { keep, error: keepError } = getKeepReleases();
+  if (keepError) {
+    error(keepError);
+  }
+
+  const { releases, error: readError } = await readReleases();
+  if (readError) {
+    error(`Could not read releases: ${readError}`);
+  }
+  const state = releaseState(releases);
+  const list = funcName
+    ? releases.filter((r) => r.functions.includes(funcName) || r.removed?.includes(funcName))
+    : releases;
+  if (!list.length) {
+    info(funcName ? `No releases of ${funcName}` : 'No releases yet - one is recorded on every deploy');
+    return;
+  }
+
+  console.log(`\n${c.blue(`Releases${funcName ? ` of ${funcName}` : ''}:`)} ${c.dim(`(newest first, keeping ${keep} per function)`)}\n`);
+  for (const release of [...list].reverse()) {
+    const live = funcName ? state[funcName] === release.id : Object.values(state).includes(release.id);
+    console.log(formatRelease(release, live));
+  }
+  console.log();
+}
+
+async function cmdRollback(funcName, { to, noRestart = false } = {}) {
+  requireServer();
+  checkFunctionName(funcName);
+  const { error: keepError } = getKeepReleases();
+  if (keepError) {
+    error(keepError);
+  }
+
+  const { releases, error: readError } = await readReleases();
+  if (readError) {
+    error(`Could not read releases: ${readError}`);
+  }
+  const state = releaseState(releases);
+  const everything = (then) => [...new Set([...Object.keys(state), ...Object.keys(then)])];
+
+  // Target version per function: a release id, or null to remove the function
+  let target;
+  let rollbackTo = to;
+  if (to) {
+    const release = releases.find((r) => r.id === to);
+    if (!release) {
+      error(`Release not found: ${to} (see 'shsu releases')`);
+    }
+    if (funcName && !release.functions.includes(funcName)) {
+      error(`Release ${to} doesn't contain ${funcName}`);
+    }
+    // Without a name, go back to everything as it was right after that release
+    const then = releaseState(releases.filter((r) => r.id <= to));
+    target = funcName ? { [funcName]: to } : Object.fromEntries(everything(then).map((name) => [name, then[name] ?? null]));
+  } else if (funcName) {
+    // The deploy before the one the live version came from (so repeated rollbacks keep going
+    // back), or the newest one if the function was removed
+    const live = state[funcName] && releaseOrigin(releases, state[funcName], funcName);
+    const previous = releases.filter((r) => r.type !== 'rollback' && r.functions.includes(funcName) && (!live || r.id < live)).pop();
+    if (!previous) {
+      error(`No earlier release of ${funcName} to roll back to`);
+    }
+    rollbackTo = previous.id;
+    target = { [funcName]: previous.id };
+  } else {
+    // Undo the last release
+    const last = releases[releases.length - 1];
+    if (!last || last.type === 'initial') {
+      error('No earlier release to roll back to');
+    }
+    const then = releaseState(releases.slice(0, -1));
+    const names = last.full ? everything(then) : [...last.functions, ...(last.removed || [])];
+    rollbackTo = `before ${last.id}`;
+    target = Object.fromEntries(names.map((name) => [name, then[name] ?? null]));
+  }
+
+  const changes = Object.entries(target).filter(([name, id]) => (state[name] ?? null) !== id);
+  if (!changes.length) {
+    info('Nothing to roll back - already at that version');
+    return;
+  }
+
+  console.log(`\n${c.blue('Rolling back:')}\n`);
+  for (const [name, id] of changes) {
+    console.log(`  ${name}  ${c.dim(state[name] ?? '(none)')} → ${id ?? c.yellow('(removed)')}`);
+  }
+  console.log();
+
+  const restore = await restoreReleases(Object.fromEntries(changes));
+  if (!restore.ok) {
+    error(`Rollback failed: ${restore.stderr}`);
+  }
+
+  const { ok, release, error: recordError } = await recordRelease(releases, {
+    functions: changes.filter(([, id]) => id).map(([name]) => name),
+    removed: changes.filter(([, id]) => !id).map(([name]) => name),
+    type: 'rollback',
+    rollbackTo,
+    restored: Object.fromEntries(changes.filter(([, id]) => id)),
+  });
+  if (!ok) {
+    warn(`Could not record the release: ${recordError}`);
+  }
+
+  if (noRestart) {
+    success(`Rolled back${ok ? ` (release ${release.id})` : ''} (no restart)`);
+    return;
+  }
+  info('Restarting edge-runtime...');
+  await restartEdgeRuntime();
+  success(`Rolled back${ok ? ` (release ${release.id})` : ''}`);
+}
 
-  // Try to load from package.json
-  const pkgPath = join(process.cwd(), 'package.json');
-  if (existsSync(pkgPath)) {
-    try {
-      const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
-      pkgConfig = pkg.shsu || {};
-    } catch (e) {
-      // Ignore parse errors
+async function cmdRestart() {
+  requireServer();
+
+  info('Restarting edge-runtime...');
+  await restartEdgeRuntime();
+  success('Restarted');
+}
+
+async function cmdMigrate({ dryRun = false, verify = false, backup = false } = {}) {
+  requireServer();
+
+  if (!existsSync(config.migrationsPath)) {
+    error(`Migrations folder not found: ${config.migrationsPath}`);
+  }
+
+  // Get list of migration files
+  const migrations = getLocalMigrations();
+
+  if (migrations.length === 0) {
+    info('No migration files found.');
+    return;
+  }
+
+  // Find the database container
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
+
+  const applied = getAppliedMigrations(dbContainer);
+  if (!applied) {
+    error(`Could not read ${MIGRATIONS_TABLE} from the database`);
+  }
+
+  const { pending, modified } = planMigrations(migrations, applied);
+
+  for (const m of modified) {
+    warn(c.yellow(`${m.name} was modified after it was applied (checksum mismatch) - it will NOT be re-run`));
+  }
+
+  if (pending.length === 0) {
+    success(`Database is up to date (${migrations.length} migration(s) applied)`);
+    return;
+  }
+
+  if (dryRun) {
+    info(`Dry run: ${pending.length} pending migration(s) would run in this order:`);
+    console.log(formatMigrationPlan(pending));
+
+    if (verify) {
+      console.log('');
+      info('Verifying in a transaction that is rolled back...');
+      const result = verifyMigrations(dbContainer, pending);
+      for (const m of result.skipped) {
+        warn(`${m.name} ${hasTransactionControl(m.sql) ? 'manages its own transaction' : 'runs without a transaction'} and was not verified`);
+      }
+      if (!result.ok) {
+        const file = result.failed?.migration || { name: 'pending migrations', sql: '' };
+        error(formatMigrationFailure(file, result, 'verify'));
+      }
+      success('All verified migrations ran without errors (rolled back)');
     }
+
+    console.log('');
+    info('Dry run - nothing was changed. Run without --dry-run to apply.');
+    return;
   }
 
-  // Env vars override package.json
-  return {
-    server: process.env.SHSU_SERVER || pkgConfig.server,
-    remotePath: process.env.SHSU_REMOTE_PATH || pkgConfig.remotePath,
-    localPath: process.env.SHSU_LOCAL_PATH || pkgConfig.localPath || './supabase/functions',
-    migrationsPath: process.env.SHSU_MIGRATIONS_PATH || pkgConfig.migrationsPath || './supabase/migrations',
-    url: process.env.SHSU_URL || pkgConfig.url,
-    edgeContainer: process.env.SHSU_EDGE_CONTAINER || pkgConfig.edgeContainer || 'edge',
-    dbContainer: process.env.SHSU_DB_CONTAINER || pkgConfig.dbContainer || 'postgres',
-  };
+  info(`Found ${pending.length} pending migration(s): ${pending.map((m) => m.name).join(', ')}`);
+
+  if (backup) {
+    info('Backing up database before migrating...');
+    const file = await backupDatabase(dbContainer);
+    success(`Backup written to ${file} (restore with: shsu db restore ${file})`);
+  }
+
+  for (const migration of pending) {
+    info(`Running ${migration.name}...`);
+    if (hasTransactionControl(migration.sql)) warn(ownTransactionWarning(migration.name));
+    const result = applyMigration(dbContainer, migration);
+    if (result.stdout) console.log(c.dim(result.stdout));
+    if (!result.ok) {
+      error(formatMigrationFailure(migration, result));
+    }
+    if (result.stderr) console.log(c.dim(result.stderr));
+    success(`Applied ${migration.name}`);
+  }
+
+  success('All migrations applied');
 }
 
-const config = loadConfig();
+async function cmdMigrateStatus() {
+  requireVar('server');
 
-// ─────────────────────────────────────────────────────────────
-// Colors
-// ─────────────────────────────────────────────────────────────
-const c = {
-  red: (s) => `\x1b[31m${s}\x1b[0m`,
-  green: (s) => `\x1b[32m${s}\x1b[0m`,
-  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
-  blue: (s) => `\x1b[34m${s}\x1b[0m`,
-  dim: (s) => `\x1b[2m${s}\x1b[0m`,
-};
+  const local = existsSync(config.migrationsPath) ? getLocalMigrations() : [];
 
-const info = (msg) => console.log(`${c.blue('▸')} ${msg}`);
-const success = (msg) => console.log(`${c.green('✓')} ${msg}`);
-const error = (msg) => {
-  console.error(`${c.red('✗')} ${msg}`);
-  process.exit(1);
-};
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
 
-// ─────────────────────────────────────────────────────────────
-// Helpers
-// ─────────────────────────────────────────────────────────────
-function requireVar(name) {
-  if (!config[name]) {
-    error(`Missing required env var: SHSU_${name.toUpperCase()} (see 'shsu env')`);
+  const applied = getAppliedMigrations(dbContainer);
+  if (!applied) {
+    error(`Could not read ${MIGRATIONS_TABLE} from the database`);
+  }
+
+  const rows = getMigrationStatus(local, applied);
+  if (rows.length === 0) {
+    info(`No migrations found in ${config.migrationsPath} or on the server.`);
+    return;
+  }
+
+  const labels = {
+    applied: c.green('applied '),
+    pending: c.blue('pending '),
+    modified: c.yellow('modified'),
+    missing: c.red('missing '),
+  };
+  const width = Math.max(...rows.map((r) => r.name.length));
+
+  info(`Migrations (${config.migrationsPath}):`);
+  for (const row of rows) {
+    console.log(`  ${labels[row.state]}  ${row.name.padEnd(width)}  ${c.dim(row.appliedAt || '')}`);
   }
+
+  const count = (state) => rows.filter((r) => r.state === state).length;
+  console.log('');
+  console.log(`  ${count('applied')} applied, ${count('pending')} pending, ${count('modified')} modified, ${count('missing')} missing locally`);
 }
 
-function requireServer() {
+async function cmdMigrateRollback({ steps, to } = {}) {
   requireVar('server');
-  requireVar('remotePath');
-}
 
-function run(cmd, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn(cmd, args, { stdio: 'inherit', ...options });
-    proc.on('close', (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(`Command failed with code ${code}`));
-    });
-    proc.on('error', reject);
-  });
-}
+  if (!existsSync(config.migrationsPath)) {
+    error(`Migrations folder not found: ${config.migrationsPath}`);
+  }
 
-function runSync(cmd) {
-  try {
-    return execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
-  } catch (e) {
-    return null;
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
   }
-}
 
-function getEdgeContainer() {
-  return runSync(`ssh ${config.server} "docker ps -q --filter 'name=${config.edgeContainer}'"`);
-}
+  const applied = getAppliedMigrations(dbContainer);
+  if (!applied) {
+    error(`Could not read ${MIGRATIONS_TABLE} from the database`);
+  }
 
-// ─────────────────────────────────────────────────────────────
-// Commands
-// ─────────────────────────────────────────────────────────────
+  const { migrations, error: err } = planRollback(getLocalMigrations(), applied, { steps, to });
+  if (err) {
+    error(err);
+  }
 
-async function cmdDeploy(funcName, noRestart = false) {
-  requireServer();
+  if (migrations.length === 0) {
+    info('Nothing to roll back.');
+    return;
+  }
 
-  if (!funcName) {
-    info('Deploying all functions...');
-    await run('rsync', [
-      '-avz', '--delete',
-      '--exclude=*.test.ts',
-      '--exclude=*.spec.ts',
-      `${config.localPath}/`,
-      `${config.server}:${config.remotePath}/`,
-    ]);
-  } else {
-    const funcPath = join(config.localPath, funcName);
-    if (!existsSync(funcPath)) {
-      error(`Function not found: ${funcPath}`);
+  info(`Rolling back ${migrations.length} migration(s): ${migrations.map((m) => m.name).join(', ')}`);
+
+  for (const migration of migrations) {
+    info(`Running ${migration.down.name}...`);
+    if (hasTransactionControl(migration.down.sql)) warn(ownTransactionWarning(migration.down.name));
+    const result = revertMigration(dbContainer, migration);
+    if (result.stdout) console.log(c.dim(result.stdout));
+    if (!result.ok) {
+      error(formatMigrationFailure(migration.down, result, 'run'));
     }
-    info(`Deploying ${funcName}...`);
-    await run('rsync', [
-      '-avz',
-      `${funcPath}/`,
-      `${config.server}:${config.remotePath}/${funcName}/`,
-    ]);
+    if (result.stderr) console.log(c.dim(result.stderr));
+    success(`Rolled back ${migration.name}`);
   }
 
-  if (!noRestart) {
-    info('Restarting edge-runtime...');
-    await run('ssh', [
-      config.server,
-      `docker restart $(docker ps -q --filter 'name=${config.edgeContainer}')`,
-    ], { stdio: ['inherit', 'pipe', 'inherit'] });
-    success(`Deployed${funcName ? ` ${funcName}` : ''}`);
-  } else {
-    success(`Synced${funcName ? ` ${funcName}` : ''} (no restart)`);
+  success('Rollback complete');
+}
+
+async function cmdMigrateNew(name) {
+  if (!name) {
+    error('Usage: shsu migrate new <name>');
+  }
+
+  const { filePath, outOfOrder, error: err } = createMigrationFile(name);
+  if (err) {
+    error(err);
+  }
+
+  success(`Created ${filePath}`);
+  if (outOfOrder) {
+    warn(`${outOfOrder} sorts after the new file - check the migration order`);
   }
 }
 
-async function cmdLogs(filter, lines = 100) {
-  requireServer();
+async function cmdDbDump(file = './supabase/schema.sql', { schema } = {}) {
+  requireVar('server');
 
-  info(`Streaming logs${filter ? ` (filter: ${filter})` : ''}... (Ctrl+C to exit)`);
+  const { schemas, error: err } = parseSchemas(schema);
+  if (err) {
+    error(err);
+  }
 
-  const sshArgs = [
-    config.server,
-    `docker logs -f $(docker ps -q --filter 'name=${config.edgeContainer}') --tail ${lines} 2>&1`,
-  ];
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
 
-  if (filter) {
-    const ssh = spawn('ssh', sshArgs, { stdio: ['inherit', 'pipe', 'inherit'] });
-    const grep = spawn('grep', ['--line-buffered', '-i', filter], {
-      stdio: ['pipe', 'inherit', 'inherit'],
-    });
-    ssh.stdout.pipe(grep.stdin);
-    
-    await new Promise((resolve) => {
-      ssh.on('close', resolve);
-      grep.on('close', resolve);
-    });
-  } else {
-    await run('ssh', sshArgs);
+  const command = `docker exec -i ${dbContainer} ${pgDumpSchemaCommand(schemas)}`;
+  if (file === '-') {
+    await run('ssh', [config.server, command]);
+    return;
   }
+
+  info(`Dumping schema (${schemas.join(', ')}) to ${file}...`);
+  mkdirSync(dirname(file), { recursive: true });
+  const fd = openSync(file, 'w');
+  try {
+    await run('ssh', [config.server, command], { stdio: ['ignore', fd, 'inherit'] });
+  } finally {
+    closeSync(fd);
+  }
+  success(`Wrote ${file} (${formatBytes(statSync(file).size)})`);
 }
 
-async function cmdList() {
-  requireServer();
+async function cmdDbDiff({ schema } = {}) {
+  requireVar('server');
 
-  info('Remote functions:');
-  const remote = runSync(`ssh ${config.server} "ls -1 ${config.remotePath} 2>/dev/null"`);
-  if (remote) {
-    remote.split('\n').filter(Boolean).forEach((f) => console.log(`  • ${f}`));
+  const { schemas, error: err } = parseSchemas(schema);
+  if (err) {
+    error(err);
   }
 
-  console.log('');
-  info('Local functions:');
-  if (existsSync(config.localPath)) {
-    readdirSync(config.localPath, { withFileTypes: true })
-      .filter((d) => d.isDirectory())
-      .forEach((d) => console.log(`  • ${d.name}`));
+  if (!existsSync(config.migrationsPath)) {
+    error(`Migrations folder not found: ${config.migrationsPath}`);
   }
-}
 
-async function cmdInvoke(funcName, data = '{}') {
-  requireVar('url');
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
 
-  if (!funcName) {
-    error('Usage: shsu invoke <function-name> [json-data]');
+  info(`Dumping live schema (${schemas.join(', ')})...`);
+  const live = dbExec(dbContainer, pgDumpSchemaCommand(schemas));
+  if (!live.ok) {
+    error(`Could not dump the live schema:\n${live.stderr}`);
+  }
+
+  const migrations = getLocalMigrations();
+  info(`Building schema from ${migrations.length} local migration(s) in a scratch database...`);
+  const built = buildSchemaFromMigrations(dbContainer, migrations, schemas);
+  if (built.error) {
+    error(built.error);
+  }
+
+  const diff = formatDiff(
+    diffLines(normalizeSchemaDump(live.stdout), normalizeSchemaDump(built.dump)),
+    { from: 'live database', to: `local migrations (${config.migrationsPath})` },
+  );
+
+  if (!diff) {
+    success('Live schema matches local migrations');
+    return;
   }
 
-  info(`Invoking ${funcName}...`);
-  await run('curl', [
-    '-s', '-X', 'POST',
-    `${config.url}/functions/v1/${funcName}`,
-    '-H', 'Content-Type: application/json',
-    '-d', data,
-  ]);
   console.log('');
+  printDiff(diff);
+  console.log('');
+  warn('Live schema differs from local migrations (- only in live database, + only in migrations)');
+  process.exitCode = 1;
 }
 
-async function cmdRestart() {
-  requireServer();
+async function cmdDbBackup(file, { remote = false } = {}) {
+  requireVar('server');
 
-  info('Restarting edge-runtime...');
-  await run('ssh', [
-    config.server,
-    `docker restart $(docker ps -q --filter 'name=${config.edgeContainer}')`,
-  ], { stdio: ['inherit', 'pipe', 'inherit'] });
-  success('Restarted');
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
+
+  info(`Backing up database${remote ? ' on the server' : ''}...`);
+  const target = await backupDatabase(dbContainer, { file, remote });
+  const size = remote ? '' : ` (${formatBytes(statSync(target).size)})`;
+  success(`Backup written to ${remote ? `${config.server}:` : ''}${target}${size}`);
 }
 
-async function cmdMigrate() {
-  requireServer();
+async function cmdDbRestore(file, { remote = false, yes = false } = {}) {
+  requireVar('server');
 
-  if (!existsSync(config.migrationsPath)) {
-    error(`Migrations folder not found: ${config.migrationsPath}`);
+  if (!file) {
+    error('Usage: shsu db restore <file> [--remote] [--yes]');
+  }
+  if (!remote && !existsSync(file)) {
+    error(`Backup file not found: ${file}`);
   }
 
-  // Get list of migration files
-  const migrations = readdirSync(config.migrationsPath)
-    .filter((f) => f.endsWith('.sql'))
-    .sort();
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
 
-  if (migrations.length === 0) {
-    info('No migration files found.');
-    return;
+  if (!yes && !(await confirm(`Restore ${file} into the database on ${config.server}? Existing objects will be replaced.`))) {
+    error('Restore cancelled (use --yes to skip this prompt)');
   }
 
-  info(`Found ${migrations.length} migration(s): ${migrations.join(', ')}`);
+  info(`Restoring ${file}...`);
+  await restoreDatabase(dbContainer, { file, remote });
+  success(`Restored ${file}`);
+}
 
-  // Copy migrations to server
-  const remoteMigrationsPath = '/tmp/shsu-migrations';
-  info('Syncing migrations to server...');
-  await run('rsync', [
-    '-avz', '--delete',
-    `${config.migrationsPath}/`,
-    `${config.server}:${remoteMigrationsPath}/`,
-  ]);
+async function cmdDbSeed() {
+  requireVar('server');
 
-  // Find the database container
-  const dbContainer = runSync(`ssh ${config.server} "docker ps -q --filter 'name=${config.dbContainer}'"`);
+  const seeds = getSeedFiles();
+  if (seeds.length === 0) {
+    error(`No seed files found at ${config.seedPath}`);
+  }
+
+  const dbContainer = getDbContainer();
   if (!dbContainer) {
     error(`Database container not found (filter: ${config.dbContainer})`);
   }
 
-  // Run each migration (pipe via stdin since container can't see host filesystem)
-  for (const migration of migrations) {
-    info(`Running ${migration}...`);
-    try {
-      await run('ssh', [
-        config.server,
-        `cat /tmp/shsu-migrations/${migration} | docker exec -i ${dbContainer} psql -U postgres -d postgres`,
-      ]);
-      success(`Applied ${migration}`);
-    } catch (e) {
-      error(`Failed to apply ${migration}: ${e.message}`);
+  for (const seed of seeds) {
+    info(`Seeding ${seed.name}...`);
+    const result = runMigrationSql(dbContainer, seed.sql);
+    if (result.stdout) console.log(c.dim(result.stdout));
+    if (!result.ok) {
+      error(formatMigrationFailure(seed, result, 'run'));
     }
+    if (result.stderr) console.log(c.dim(result.stderr));
+    success(`Seeded ${seed.name}`);
   }
 
-  success('All migrations applied');
+  success('Seed data loaded');
+}
+
+async function cmdDbPsql() {
+  requireVar('server');
+
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
+
+  await run('ssh', ['-t', config.server, `docker exec -it ${dbContainer} psql -U postgres -d postgres`]);
+}
+
+async function cmdDbQuery(sql, { format = 'table', readOnly = false } = {}) {
+  requireVar('server');
+
+  if (!sql) {
+    error('Usage: shsu db query "<sql>" [--json|--csv] [--read-only]');
+  }
+
+  const dbContainer = getDbContainer();
+  if (!dbContainer) {
+    error(`Database container not found (filter: ${config.dbContainer})`);
+  }
+
+  const result = runQuery(dbContainer, sql, { readOnly });
+  if (!result.ok) {
+    error(result.stderr || 'Query failed');
+  }
+  console.log(formatQueryResult(result, format));
+}
+
+async function cmdServe(funcName, { port = 54321, envFile, docker = false, image = EDGE_RUNTIME_IMAGE } = {}) {
+  checkFunctionName(funcName);
+  const localPath = resolve(config.localPath);
+  if (!existsSync(localPath)) {
+    error(`Functions folder not found: ${config.localPath}`);
+  }
+  if (funcName && !existsSync(join(localPath, funcName))) {
+    error(`Function not found: ${join(config.localPath, funcName)}`);
+  }
+
+  // Supabase CLI convention: local secrets in supabase/functions/.env (never deployed)
+  const secrets = envFile || (existsSync(join(localPath, '.env')) ? join(localPath, '.env') : null);
+  if (envFile && !existsSync(envFile)) {
+    error(`Env file not found: ${envFile}`);
+  }
+
+  const useDocker = docker || !hasCommand('deno');
+  if (useDocker && !hasCommand('docker')) {
+    error('Neither deno nor docker found. Install Deno (https://deno.com) or Docker to serve functions locally.');
+  }
+
+  const tmp = mkdtempSync(join(tmpdir(), 'shsu-serve-'));
+  let cmd;
+  let cmdArgs;
+  if (useDocker) {
+    mkdirSync(join(tmp, 'main'));
+    writeFileSync(join(tmp, 'main', 'index.ts'), EDGE_RUNTIME_MAIN);
+    cmd = 'docker';
+    cmdArgs = [
+      'run', '--rm', '--name', `shsu-serve-${port}`,
+      '-p', `${port}:9000`,
+      '-v', `${localPath}:/home/deno/functions:ro`,
+      '-v', `${join(tmp, 'main')}:/home/deno/main:ro`,
+      ...(funcName ? ['-e', `SHSU_SERVE_ONLY=${funcName}`] : []),
+      ...(secrets ? ['--env-file', secrets] : []),
+      image, 'start', '--main-service', '/home/deno/main',
+    ];
+  } else {
+    writeFileSync(join(tmp, 'router.js'), DENO_ROUTER);
+    cmd = 'deno';
+    cmdArgs = [
+      'run', '--allow-all',
+      ...(secrets ? [`--env-file=${secrets}`] : []),
+      join(tmp, 'router.js'),
+      String(port), pathToFileURL(`${localPath}/`).href, funcName || '',
+    ];
+  }
+
+  info(`Serving ${funcName || 'all functions'} from ${config.localPath} with ${useDocker ? image : 'deno'}`);
+  if (secrets) info(`Loading secrets from ${secrets}`);
+  console.log(`  ${c.green(`http://localhost:${port}/functions/v1/${funcName || '<name>'}`)}`);
+  console.log(c.dim('  Watching for changes... (Ctrl+C to exit)\n'));
+
+  let proc;
+  let restarting = false;
+  const start = () => {
+    proc = spawn(cmd, cmdArgs, { stdio: 'inherit' });
+    proc.on('exit', (code) => {
+      if (restarting) {
+        restarting = false;
+        start();
+      } else if (code) {
+        warn(`Server exited with code ${code} - waiting for changes`);
+      }
+    });
+  };
+  start();
+
+  // The edge-runtime image loads code per request; the Deno router has to be restarted
+  let timer;
+  const watcher = watch(localPath, { recursive: true }, (event, file) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      info(`Changed: ${file || localPath}`);
+      if (useDocker) return;
+      if (proc.exitCode === null && proc.signalCode === null) {
+        restarting = true;
+        proc.kill();
+      } else {
+        start();
+      }
+    }, 200);
+  });
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      watcher.close();
+      restarting = false;
+      proc.kill('SIGINT');
+      rmSync(tmp, { recursive: true, force: true });
+      resolve();
+    });
+  });
 }
 
 async function cmdNew(funcName) {
   if (!funcName) {
     error('Usage: shsu new <function-name>');
   }
+  checkFunctionName(funcName);
 
   const funcPath = join(config.localPath, funcName);
   if (existsSync(funcPath)) {
@@ -290,38 +3268,70 @@ async function cmdNew(funcName) {
 }
 
 function cmdEnv() {
+  const environment = config.environments.length
+    ? `${config.environment ? c.green(config.environment) : c.dim('(none - shared values only)')} ${c.dim(`(available: ${config.environments.join(', ')})`)}`
+    : c.dim('(no environments configured)');
+
+  const value = (key) => {
+    const shown = config[key] === undefined ? c.dim('(not set)')
+      : SECRET_CONFIG_KEYS.includes(key) ? maskSecret(String(config[key])) : config[key];
+    return `  ${key.padEnd(15)} = ${shown}${config.sources[key] ? `  ${c.dim(`← ${config.sources[key]}`)}` : ''}`;
+  };
+
   console.log(`
-${c.yellow('Configuration (package.json "shsu" key or environment variables):')}
+${c.yellow('Environment:')} ${environment}
+
+${c.yellow('Configuration keys:')}
 
   server          SSH host for your Coolify server
   remotePath      Remote path to functions directory
   url             Supabase URL (for invoke command)
+  anonKey         Anon key for invoke --anon (or SUPABASE_ANON_KEY)
+  serviceRoleKey  Service role key for invoke --service-role (or SUPABASE_SERVICE_ROLE_KEY)
+  secretsFile     Remote env file with function secrets (default: <remotePath>/.env)
   localPath       Local functions path (default: ./supabase/functions)
   migrationsPath  Local migrations path (default: ./supabase/migrations)
+  seedPath        Seed file or folder (default: ./supabase/seed.sql or ./supabase/seeds)
   edgeContainer   Edge runtime container filter (default: edge)
   dbContainer     Database container filter (default: postgres)
 
+${c.yellow('Sources (highest precedence first):')}
+
+  1. Environment variables (SHSU_SERVER, SHSU_REMOTE_PATH, ...)
+  2. .env.local, then .env (SHSU_* entries only)
+  3. shsu.config.json, then supabase/shsu.json
+  4. package.json "shsu" key
+  5. Defaults
+
 ${c.yellow('Current values:')}
 
-  server          = ${config.server || c.dim('(not set)')}
-  remotePath      = ${config.remotePath || c.dim('(not set)')}
-  url             = ${config.url || c.dim('(not set)')}
-  localPath       = ${config.localPath}
-  migrationsPath  = ${config.migrationsPath}
-  edgeContainer   = ${config.edgeContainer}
-  dbContainer     = ${config.dbContainer}
+${CONFIG_KEYS.map(value).join('\n')}
 
+${c.dim('Select an environment with --env <name>, SHSU_ENV or "defaultEnvironment" in your config.')}
 ${c.dim('Run "shsu init" to configure via prompts.')}
 ${c.dim('Find container names in Coolify: Services → Your Service → look for container name prefix')}
 `);
 }
 
-async function cmdInit() {
-  const pkgPath = join(process.cwd(), 'package.json');
+async function cmdDoctor() {
+  info('Checking local tools, config, server and URL...');
+  const results = await runDoctor();
+  console.log(`\n${formatDoctorResults(results)}\n`);
 
-  if (!existsSync(pkgPath)) {
-    error('No package.json found. Run "npm init" first.');
+  const failed = results.filter((r) => r.status === 'fail').length;
+  if (failed) {
+    console.error(`${c.red('✗')} ${failed} check(s) failed`);
+    process.exitCode = 1;
+  } else {
+    success('Everything looks good');
   }
+}
+
+async function cmdInit() {
+  // Update an existing shsu config file, else package.json, else create shsu.config.json
+  const configFile = ['shsu.config.json', 'supabase/shsu.json', 'package.json']
+    .find((f) => existsSync(join(process.cwd(), f))) || 'shsu.config.json';
+  const configPath = join(process.cwd(), configFile);
 
   const rl = createInterface({
     input: process.stdin,
@@ -347,9 +3357,11 @@ async function cmdInit() {
 
   rl.close();
 
-  // Read and update package.json
-  const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'));
-  pkg.shsu = {
+  // Read and update the config file (package.json keeps it under the "shsu" key)
+  const file = existsSync(configPath) ? JSON.parse(readFileSync(configPath, 'utf-8')) : {};
+  const pkg = configFile === 'package.json' ? file : { shsu: file };
+  const existing = pkg.shsu || {};
+  const answers = {
     server: server || undefined,
     remotePath: remotePath || undefined,
     url: url || undefined,
@@ -359,14 +3371,33 @@ async function cmdInit() {
   };
 
   // Remove undefined values
-  Object.keys(pkg.shsu).forEach((key) => {
-    if (pkg.shsu[key] === undefined) delete pkg.shsu[key];
+  const prompted = Object.keys(answers);
+  Object.keys(answers).forEach((key) => {
+    if (answers[key] === undefined) delete answers[key];
   });
 
-  writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n');
+  // With an active environment, answers go into that profile and shared values stay untouched
+  if (config.environment) {
+    pkg.shsu = {
+      ...existing,
+      environments: {
+        ...existing.environments,
+        [config.environment]: { ...existing.environments?.[config.environment], ...answers },
+      },
+    };
+  } else {
+    // Settings init doesn't ask about (checks, exclude, ...) are kept; prompted ones left empty
+    // or at their default are removed
+    pkg.shsu = { ...existing, ...answers };
+    for (const key of prompted) {
+      if (!(key in answers)) delete pkg.shsu[key];
+    }
+  }
+
+  writeFileSync(configPath, JSON.stringify(configFile === 'package.json' ? pkg : pkg.shsu, null, 2) + '\n');
 
   console.log('');
-  success('Added shsu config to package.json');
+  success(`Added shsu config${config.environment ? ` for environment "${config.environment}"` : ''} to ${configFile}`);
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -382,6 +3413,10 @@ async function cmdMcp() {
         properties: {
           name: { type: 'string', description: 'Function name to deploy. If omitted, deploys all functions.' },
           noRestart: { type: 'boolean', description: 'Skip restarting edge-runtime after deploy.' },
+          skipChecks: { type: 'boolean', description: 'Deploy without running the pre-deploy checks (deno check, plus lint/fmt if configured).' },
+          skipHealthCheck: { type: 'boolean', description: 'Skip the post-deploy health check (and the automatic rollback when it fails).' },
+          dryRun: { type: 'boolean', description: 'Only show which files would be added, changed or deleted on the server, with diffs of changed files.' },
+          yes: { type: 'boolean', description: 'Allow a full deploy to remove functions that exist on the server but not locally.' },
         },
       },
     },
@@ -392,12 +3427,19 @@ async function cmdMcp() {
     },
     {
       name: 'invoke',
-      description: 'Invoke an edge function with optional JSON data.',
+      description: 'Send an HTTP request to an edge function and return the status, timing and response body. Defaults to a POST with a JSON body of {}.',
       inputSchema: {
         type: 'object',
         properties: {
-          name: { type: 'string', description: 'Function name to invoke.' },
-          data: { type: 'string', description: 'JSON data to send (default: {}).' },
+          name: { type: 'string', description: 'Function name to invoke, optionally with a sub-path (e.g. "api/users").' },
+          method: { type: 'string', description: 'HTTP method (default: POST).' },
+          headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Request headers, e.g. { "X-Trace": "1" }.' },
+          query: { type: 'object', additionalProperties: { type: 'string' }, description: 'Query string parameters.' },
+          data: { type: 'string', description: 'Request body: JSON (sent as application/json) or text, or "@path" to send a local file. Default for POST: {}.' },
+          form: { type: 'object', additionalProperties: { type: 'string' }, description: 'multipart/form-data fields; a value of "@path" uploads that local file. Use instead of data.' },
+          auth: { type: 'string', enum: ['anon', 'service-role'], description: 'Send the anon or service role key (anonKey / serviceRoleKey config) as Authorization and apikey.' },
+          user: { type: 'string', description: "A user's access token (JWT) to send as Authorization." },
+          include: { type: 'boolean', description: 'Also return the response headers.' },
         },
         required: ['name'],
       },
@@ -407,6 +3449,35 @@ async function cmdMcp() {
       description: 'Restart the edge-runtime container.',
       inputSchema: { type: 'object', properties: {} },
     },
+    {
+      name: 'secrets_list',
+      description: 'List the names of edge function secrets set on the server. Values are never returned.',
+      inputSchema: { type: 'object', properties: {} },
+    },
+    {
+      name: 'secrets_set',
+      description: 'Set edge function secrets on the server and restart edge-runtime. Values are never echoed back.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          secrets: { type: 'object', additionalProperties: { type: 'string' }, description: 'Secrets to set, e.g. { "STRIPE_KEY": "sk_live_..." }.' },
+          noRestart: { type: 'boolean', description: 'Skip restarting edge-runtime.' },
+        },
+        required: ['secrets'],
+      },
+    },
+    {
+      name: 'secrets_unset',
+      description: 'Remove edge function secrets from the server and restart edge-runtime.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          names: { type: 'array', items: { type: 'string' }, description: 'Secret names to remove.' },
+          noRestart: { type: 'boolean', description: 'Skip restarting edge-runtime.' },
+        },
+        required: ['names'],
+      },
+    },
     {
       name: 'new',
       description: 'Create a new edge function from template.',
@@ -423,11 +3494,86 @@ async function cmdMcp() {
       description: 'Get current shsu configuration.',
       inputSchema: { type: 'object', properties: {} },
     },
+    {
+      name: 'doctor',
+      description: 'Diagnose the setup: local tools (ssh, rsync, deno), SSH login, Docker access on the server, that edgeContainer/dbContainer each match exactly one running container, that remotePath exists and is mounted into the edge container, and that url responds. Returns a pass/fail line with a fix hint per check. Use this first when other tools fail with connection or container errors.',
+      inputSchema: { type: 'object', properties: {} },
+    },
     {
       name: 'migrate',
-      description: 'Run SQL migrations on the database. Syncs migration files via rsync and executes them via psql.',
+      description: 'Run pending SQL migrations on the database via psql. Applied files are tracked in shsu.schema_migrations and skipped on later runs.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          dryRun: { type: 'boolean', description: 'Only list the pending files that would run (order, size, checksum) without applying them.' },
+          verify: { type: 'boolean', description: 'With dryRun: also run the pending files in a transaction that is rolled back, to surface SQL errors without changing anything.' },
+        },
+      },
+    },
+    {
+      name: 'seed',
+      description: 'Load seed data (fixtures, reference data) into the database by running the seed file or folder (seedPath) via psql. Seeds run on every call, so they should be idempotent.',
+      inputSchema: { type: 'object', properties: {} },
+    },
+    {
+      name: 'query',
+      description: `Run a single SQL statement in the database and return the result as a table, JSON or CSV. Read-only by default: the statement runs in a read-only transaction as the ${READ_ONLY_ROLE} role, which can read all tables (including auth.users) but not write, and COPY is refused. Functions that run as their owner (SECURITY DEFINER) and extensions that reach outside the database (e.g. dblink, http) are not covered.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sql: { type: 'string', description: 'SQL statement to run, e.g. "select id, email from auth.users limit 10".' },
+          format: { type: 'string', enum: ['table', 'json', 'csv'], description: 'Output format (default: table).' },
+          readOnly: { type: 'boolean', description: 'Run in a read-only transaction (default: true). Set to false to allow writes.' },
+          maxRows: { type: 'number', description: 'Maximum rows to return (default: 100).' },
+        },
+        required: ['sql'],
+      },
+    },
+    {
+      name: 'logs',
+      description: 'Read recent edge-runtime logs: the last N lines or a time window, optionally only one function and/or a minimum level. Use after deploy/invoke to see why a function fails.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Only lines attributed to this function.' },
+          lines: { type: 'number', description: 'Maximum number of lines to return (default: 100, max: 1000).' },
+          since: { type: 'string', description: 'Start of the window: a duration like 30m, 1h, 2d, or a timestamp.' },
+          until: { type: 'string', description: 'End of the window: a duration like 10m, or a timestamp.' },
+          level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], description: 'Minimum level, e.g. "error" for errors only.' },
+          grep: { type: 'string', description: 'Only lines containing this text (case-insensitive).' },
+        },
+      },
+    },
+    {
+      name: 'db_logs',
+      description: 'Read recent postgres container logs (e.g. after a failed migration): the last N lines or a time window, optionally filtered by level.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          lines: { type: 'number', description: 'Maximum number of lines to return (default: 100, max: 1000).' },
+          since: { type: 'string', description: 'Start of the window: a duration like 30m, 1h, 2d, or a timestamp.' },
+          until: { type: 'string', description: 'End of the window: a duration like 10m, or a timestamp.' },
+          level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], description: 'Minimum level, e.g. "error" for ERROR/FATAL/PANIC only.' },
+          grep: { type: 'string', description: 'Only lines containing this text (case-insensitive).' },
+        },
+      },
+    },
+    {
+      name: 'migrate_status',
+      description: 'List local migration files with their state on the server: applied, pending, modified (changed after it was applied) or missing (applied, but no local file).',
       inputSchema: { type: 'object', properties: {} },
     },
+    {
+      name: 'migrate_new',
+      description: 'Create a new, empty migration file prefixed with the current timestamp (YYYYMMDDHHMMSS_name.sql).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Migration name, e.g. add_orders_table.' },
+        },
+        required: ['name'],
+      },
+    },
     {
       name: 'docs',
       description: 'Get documentation on how to set up and use shsu for deploying Supabase Edge Functions.',
@@ -435,6 +3581,14 @@ async function cmdMcp() {
     },
   ];
 
+  // Every tool can target a named environment from package.json
+  for (const tool of tools) {
+    tool.inputSchema.properties.env = {
+      type: 'string',
+      description: `Environment from the "environments" config key (in package.json "shsu", shsu.config.json or supabase/shsu.json) to use for this call${config.environments.length ? ` (available: ${config.environments.join(', ')})` : ''}. Defaults to ${config.environment || 'the shared configuration'}.`,
+    };
+  }
+
   const serverInfo = {
     name: 'shsu',
     version: '0.0.1',
@@ -451,15 +3605,6 @@ async function cmdMcp() {
     process.stdout.write(JSON.stringify(response) + '\n');
   };
 
-  // Capture output helper
-  const captureExec = (cmd) => {
-    try {
-      return execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
-    } catch (e) {
-      return e.message;
-    }
-  };
-
   // Tool handlers
   const handleTool = async (name, args = {}) => {
     switch (name) {
@@ -480,28 +3625,120 @@ To fix, add to package.json:
 
 To find the values, SSH to your server and run:
   docker ps                    # Find container names (e.g., xxx-supabase-edge-1)
-  docker inspect <container>   # Find volume paths in "Mounts" section` }] };
+  docker inspect <container>   # Find volume paths in "Mounts" section` }], isError: true };
         }
         const funcName = args.name;
         const noRestart = args.noRestart || false;
         let output = '';
 
-        if (!funcName) {
-          output = captureExec(`rsync -avz --delete --exclude='*.test.ts' --exclude='*.spec.ts' "${config.localPath}/" "${config.server}:${config.remotePath}/"`);
-        } else {
-          const funcPath = join(config.localPath, funcName);
-          if (!existsSync(funcPath)) {
-            return { content: [{ type: 'text', text: `Error: Function not found: ${funcPath}
+        const invalidName = funcName && validateFunctionName(funcName);
+        if (invalidName) {
+          return { content: [{ type: 'text', text: `Error: ${invalidName}` }], isError: true };
+        }
+
+        if (funcName && !existsSync(join(config.localPath, funcName))) {
+          return { content: [{ type: 'text', text: `Error: Function not found: ${join(config.localPath, funcName)}
+
+To fix, create the function first using the 'new' tool with name: "${funcName}"` }], isError: true };
+        }
+
+        if (args.dryRun || (!funcName && !args.yes)) {
+          const { changes, error: planError } = await planDeploy(funcName);
+          if (planError) {
+            return { content: [{ type: 'text', text: `Error: Could not compare with the server.\n\n${planError}` }], isError: true };
+          }
+          if (args.dryRun) {
+            if (!changes.size) {
+              return { content: [{ type: 'text', text: 'No changes - the server is up to date.' }] };
+            }
+            const diffs = [];
+            for (const [name, { changed }] of changes) {
+              for (const file of changed) diffs.push(await diffDeployFile(name, file));
+            }
+            return { content: [{ type: 'text', text: `Dry run - nothing was deployed. Changes on the server (+ added, ~ changed, - deleted):\n\n${formatDeployPlan(changes)}${diffs.filter(Boolean).length ? `\n\n${diffs.filter(Boolean).join('\n\n')}` : ''}` }] };
+          }
+          const removed = [...changes].filter(([, change]) => change.removed).map(([name]) => name);
+          if (removed.length) {
+            return { content: [{ type: 'text', text: `Error: This deploy would remove ${removed.length} function(s) from the server: ${removed.join(', ')}. Nothing was deployed.
+
+They exist on the server but not in ${config.localPath}. Ask the user whether they should be deleted; if so, deploy again with yes: true.` }], isError: true };
+          }
+        }
 
-To fix, create the function first using the 'new' tool with name: "${funcName}"` }] };
+        if (!args.skipChecks) {
+          const checks = await runDeployChecks(deployTargets(funcName));
+          if (checks.error) {
+            return { content: [{ type: 'text', text: `Error: ${checks.error}. Nothing was deployed.` }], isError: true };
           }
-          output = captureExec(`rsync -avz "${funcPath}/" "${config.server}:${config.remotePath}/${funcName}/"`);
+          if (!checks.ok) {
+            const diagnostics = checks.failures.flatMap(({ name, check, diagnostics, output }) => (diagnostics.length
+              ? diagnostics.map((d) => ({ function: name, check, ...d }))
+              : [{ function: name, check, file: null, line: null, column: null, message: output }]));
+            return { content: [{ type: 'text', text: `Error: Pre-deploy checks failed, nothing was deployed.
+
+${formatCheckFailures(checks.failures)}
+
+Diagnostics:
+${JSON.stringify(diagnostics, null, 2)}
+
+Fix the errors and deploy again, or pass skipChecks: true to deploy anyway.` }], isError: true };
+          }
+          if (checks.skipped === 'deno not installed') output += 'Pre-deploy checks skipped: deno not installed\n\n';
+        }
+
+        const dependencies = funcName ? functionDependencies(funcName) : null;
+        if (dependencies?.outside.length) {
+          output += `Warning: imported from outside ${config.localPath}, not deployed: ${dependencies.outside.map((file) => relative(process.cwd(), file)).join(', ')}\n\n`;
+        }
+
+        const { releases, before, error: releaseError } = await prepareRelease(funcName, dependencies?.folders);
+        if (releaseError) {
+          return { content: [{ type: 'text', text: `Error: Could not prepare the release, nothing was deployed.\n\n${releaseError}` }], isError: true };
+        }
+        const targets = noRestart || args.skipHealthCheck ? null : healthCheckTargets(funcName);
+
+        const sync = await capture('rsync', deployRsyncArgs(funcName));
+        if (!sync.ok) {
+          return { content: [{ type: 'text', text: `Error: rsync failed.\n\n${sync.stderr}` }], isError: true };
+        }
+        output += sync.stdout;
+        if (dependencies?.files.length) {
+          const deps = await withFileList(dependencies.files, (listFile) => capture('rsync', dependencyRsyncArgs(listFile)));
+          if (!deps.ok) {
+            return { content: [{ type: 'text', text: `Error: rsync of imported files failed.\n\n${deps.stderr}` }], isError: true };
+          }
+          output += `\n${deps.stdout}`;
         }
 
         if (!noRestart) {
-          output += '\n' + captureExec(`ssh ${config.server} "docker restart \\$(docker ps -q --filter 'name=${config.edgeContainer}')"`);
+          const restart = await capture('ssh', [config.server, restartEdgeCommand()]);
+          if (!restart.ok) {
+            return { content: [{ type: 'text', text: `Error: Deployed, but restarting edge-runtime failed.\n\n${output}\n\n${restart.stderr}` }], isError: true };
+          }
+          output += `\n${restart.stdout}`;
+        }
+
+        if (targets?.length) {
+          const result = await verifyDeploy(targets, before);
+          const health = `Health checks:\n${formatHealthResults(result.results)}`;
+          if (!result.ok) {
+            const outcome = result.rolledBack
+              ? 'Error: Health checks failed, rolled back to the previous version.'
+              : `Error: Health checks failed and the rollback failed too (${result.rollbackError}). The previous versions are in ${config.server}:${releasesPath()}.`;
+            return { content: [{ type: 'text', text: `${outcome}\n\n${health}\n\nCheck the function logs on the server, fix the error and deploy again.` }], isError: true };
+          }
+          output += `\n\n${health}`;
+        } else if (!noRestart && !args.skipHealthCheck && !targets) {
+          output += '\n\nHealth checks skipped: url not configured';
         }
 
+        const recorded = await recordRelease(releases, {
+          functions: funcName ? [funcName, ...dependencies.folders] : deployTargets(),
+          full: !funcName,
+          type: 'deploy',
+        });
+        output += recorded.ok ? `\n\nRelease: ${recorded.release.id}` : `\n\nWarning: could not record the release: ${recorded.error}`;
+
         return { content: [{ type: 'text', text: `Deployed${funcName ? ` ${funcName}` : ' all functions'}${noRestart ? ' (no restart)' : ''}\n\n${output}` }] };
       }
 
@@ -522,13 +3759,18 @@ To fix, add to package.json:
 
 To find the values, SSH to your server and run:
   docker ps                    # Find container names (e.g., xxx-supabase-edge-1)
-  docker inspect <container>   # Find volume paths in "Mounts" section` }] };
+  docker inspect <container>   # Find volume paths in "Mounts" section` }], isError: true };
         }
-        const remote = captureExec(`ssh ${config.server} "ls -1 ${config.remotePath} 2>/dev/null"`) || '(none)';
+        const dir = shellQuote(config.remotePath);
+        const ls = await capture('ssh', [config.server, `if [ -d ${dir} ]; then ls -1 ${dir}; fi`]);
+        if (!ls.ok) {
+          return { content: [{ type: 'text', text: `Error: Could not list ${config.server}:${config.remotePath}\n\n${ls.stderr}` }], isError: true };
+        }
+        const remote = ls.stdout.split('\n').filter((f) => f && !f.startsWith('_')).join('\n') || '(none)';
         let local = '(none)';
         if (existsSync(config.localPath)) {
           const dirs = readdirSync(config.localPath, { withFileTypes: true })
-            .filter((d) => d.isDirectory())
+            .filter((d) => d.isDirectory() && !d.name.startsWith('_'))
             .map((d) => d.name);
           local = dirs.length ? dirs.join('\n') : '(none)';
         }
@@ -548,16 +3790,30 @@ To fix, add to package.json:
     "edgeContainer": "edge",
     "dbContainer": "postgres"
   }
-}` }] };
+}` }], isError: true };
         }
         if (!args.name) {
           return { content: [{ type: 'text', text: `Error: function name is required.
 
-Usage: invoke tool with { "name": "function-name", "data": "{\\"key\\": \\"value\\"}" }` }] };
+Usage: invoke tool with { "name": "function-name", "data": "{\\"key\\": \\"value\\"}", "auth": "anon" }` }], isError: true };
         }
-        const data = args.data || '{}';
-        const output = captureExec(`curl -s -X POST "${config.url}/functions/v1/${args.name}" -H "Content-Type: application/json" -d '${data}'`);
-        return { content: [{ type: 'text', text: output }] };
+        const invalidName = validateFunctionName(args.name, { subPath: true });
+        if (invalidName) {
+          return { content: [{ type: 'text', text: `Error: ${invalidName}` }], isError: true };
+        }
+        const request = buildInvokeRequest(args.name, args);
+        if (request.error) {
+          return { content: [{ type: 'text', text: `Error: ${request.error}` }], isError: true };
+        }
+        const response = await sendInvokeRequest(request);
+        if (response.error) {
+          return { content: [{ type: 'text', text: `Error: ${response.error}` }], isError: true };
+        }
+        let text = `${request.method} ${request.url}\n${formatInvokeResponse(response, { include: args.include, colors: false })}`;
+        if (text.length > MAX_INVOKE_RESPONSE) {
+          text = `${text.slice(0, MAX_INVOKE_RESPONSE)}\n... (response truncated, ${response.body.length} characters in the body)`;
+        }
+        return { content: [{ type: 'text', text }] };
       }
 
       case 'restart': {
@@ -577,23 +3833,92 @@ To fix, add to package.json:
 
 To find the values, SSH to your server and run:
   docker ps                    # Find container names (e.g., xxx-supabase-edge-1)
-  docker inspect <container>   # Find volume paths in "Mounts" section` }] };
+  docker inspect <container>   # Find volume paths in "Mounts" section` }], isError: true };
+        }
+        const restart = await capture('ssh', [config.server, restartEdgeCommand()]);
+        if (!restart.ok) {
+          return { content: [{ type: 'text', text: `Error: Could not restart edge-runtime (filter: ${config.edgeContainer})\n\n${restart.stderr}` }], isError: true };
+        }
+        return { content: [{ type: 'text', text: `Restarted edge-runtime\n\n${restart.stdout}` }] };
+      }
+
+      case 'secrets_list':
+      case 'secrets_set':
+      case 'secrets_unset': {
+        if (!config.server || !config.remotePath) {
+          return { content: [{ type: 'text', text: `Error: server and remotePath must be configured.
+
+To fix, add to package.json:
+{
+  "shsu": {
+    "server": "root@your-server.com",
+    "remotePath": "/data/coolify/services/xxx/volumes/functions",
+    "secretsFile": "/data/coolify/services/xxx/volumes/functions/.env"
+  }
+}` }], isError: true };
+        }
+        const { secrets, error: readErr } = readRemoteSecrets();
+        if (readErr) {
+          return { content: [{ type: 'text', text: `Error: ${readErr}` }], isError: true };
+        }
+        if (name === 'secrets_list') {
+          const names = Object.keys(secrets);
+          return { content: [{ type: 'text', text: names.length ? `Secrets in ${config.secretsFile}:\n${names.join('\n')}` : `No secrets set in ${config.secretsFile}.` }] };
+        }
+
+        let changed;
+        if (name === 'secrets_set') {
+          const updates = args.secrets || {};
+          changed = Object.keys(updates);
+          const invalid = changed.length ? validateSecretNames(changed) : 'No secrets given.';
+          if (invalid) {
+            return { content: [{ type: 'text', text: `Error: ${invalid}\n\nUsage: secrets_set tool with { "secrets": { "API_KEY": "value" } }` }], isError: true };
+          }
+          Object.assign(secrets, Object.fromEntries(changed.map((key) => [key, String(updates[key])])));
+        } else {
+          changed = (args.names || []).filter((key) => key in secrets);
+          if (changed.length === 0) {
+            return { content: [{ type: 'text', text: 'None of the given secrets are set. Nothing changed.' }] };
+          }
+          changed.forEach((key) => delete secrets[key]);
+        }
+
+        const { error: writeErr } = writeRemoteSecrets(secrets);
+        if (writeErr) {
+          return { content: [{ type: 'text', text: `Error: ${writeErr}` }], isError: true };
+        }
+        let output = `${name === 'secrets_set' ? 'Set' : 'Unset'} ${changed.join(', ')} in ${config.secretsFile}`;
+        const { loaded, error: checkErr } = secretsLoaded();
+        if (checkErr || !loaded) {
+          return { content: [{ type: 'text', text: `Error: ${output}, but ${checkErr || `the ${MAIN_SERVICE} service doesn't load that file, so functions still see the old values`}.
+
+Ask the user to run 'shsu secrets setup' (adds a loader to ${config.localPath}/${MAIN_SERVICE}/index.ts), review the change and deploy ${MAIN_SERVICE}.` }], isError: true };
         }
-        const output = captureExec(`ssh ${config.server} "docker restart \\$(docker ps -q --filter 'name=${config.edgeContainer}')"`);
-        return { content: [{ type: 'text', text: `Restarted edge-runtime\n\n${output}` }] };
+        if (!args.noRestart) {
+          const restart = await capture('ssh', [config.server, restartEdgeCommand()]);
+          if (!restart.ok) {
+            return { content: [{ type: 'text', text: `Error: ${output}, but restarting edge-runtime failed.\n\n${restart.stderr}` }], isError: true };
+          }
+          output += '\nRestarted edge-runtime';
+        }
+        return { content: [{ type: 'text', text: output }] };
       }
 
       case 'new': {
         if (!args.name) {
           return { content: [{ type: 'text', text: `Error: function name is required.
 
-Usage: new tool with { "name": "my-function-name" }` }] };
+Usage: new tool with { "name": "my-function-name" }` }], isError: true };
+        }
+        const invalidName = validateFunctionName(args.name);
+        if (invalidName) {
+          return { content: [{ type: 'text', text: `Error: ${invalidName}` }], isError: true };
         }
         const funcPath = join(config.localPath, args.name);
         if (existsSync(funcPath)) {
           return { content: [{ type: 'text', text: `Error: Function already exists: ${args.name}
 
-The function already exists at ${funcPath}. To update it, edit the code and use the 'deploy' tool.` }] };
+The function already exists at ${funcPath}. To update it, edit the code and use the 'deploy' tool.` }], isError: true };
         }
         mkdirSync(funcPath, { recursive: true });
         writeFileSync(
@@ -622,11 +3947,18 @@ The function already exists at ${funcPath}. To update it, edit the code and use
         return {
           content: [{
             type: 'text',
-            text: `Current configuration:\n  server: ${config.server || '(not set)'}\n  remotePath: ${config.remotePath || '(not set)'}\n  url: ${config.url || '(not set)'}\n  localPath: ${config.localPath}\n  migrationsPath: ${config.migrationsPath}\n  edgeContainer: ${config.edgeContainer}\n  dbContainer: ${config.dbContainer}`,
+            text: `Current configuration${config.environment ? ` (environment: ${config.environment})` : ''}:\n${CONFIG_KEYS.map((key) => `  ${key}: ${config[key] === undefined ? '(not set)' : SECRET_CONFIG_KEYS.includes(key) ? maskSecret(String(config[key])) : config[key]}${config.sources[key] ? `  [${config.sources[key]}]` : ''}`).join('\n')}`,
           }],
         };
       }
 
+      case 'doctor': {
+        const results = await runDoctor();
+        const failed = results.filter((r) => r.status === 'fail').length;
+        const summary = failed ? `${failed} check(s) failed - fix them in order, later checks depend on earlier ones.` : 'All checks passed.';
+        return { content: [{ type: 'text', text: `${formatDoctorResults(results, { colors: false })}\n\n${summary}` }] };
+      }
+
       case 'migrate': {
         if (!config.server) {
           return { content: [{ type: 'text', text: `Error: server must be configured.
@@ -644,7 +3976,7 @@ To fix, add to package.json:
 
 To find the values, SSH to your server and run:
   docker ps                    # Find container names (e.g., xxx-supabase-edge-1)
-  docker inspect <container>   # Find volume paths in "Mounts" section` }] };
+  docker inspect <container>   # Find volume paths in "Mounts" section` }], isError: true };
         }
         if (!existsSync(config.migrationsPath)) {
           return { content: [{ type: 'text', text: `Error: Migrations folder not found: ${config.migrationsPath}
@@ -654,11 +3986,9 @@ To fix, create the migrations directory and add .sql files:
 
 Then add migration files like:
   ${config.migrationsPath}/001_create_tables.sql
-  ${config.migrationsPath}/002_add_indexes.sql` }] };
+  ${config.migrationsPath}/002_add_indexes.sql` }], isError: true };
         }
-        const migrations = readdirSync(config.migrationsPath)
-          .filter((f) => f.endsWith('.sql'))
-          .sort();
+        const migrations = getLocalMigrations();
         if (migrations.length === 0) {
           return { content: [{ type: 'text', text: `No migration files found in ${config.migrationsPath}
 
@@ -667,11 +3997,8 @@ Add .sql files to the migrations folder, e.g.:
 
 Files are executed alphabetically, so use numeric prefixes for ordering.` }] };
         }
-        let output = `Found ${migrations.length} migration(s): ${migrations.join(', ')}\n\n`;
-        // Sync migrations
-        output += captureExec(`rsync -avz --delete "${config.migrationsPath}/" "${config.server}:/tmp/shsu-migrations/"`) + '\n';
         // Find db container
-        const dbContainer = captureExec(`ssh ${config.server} "docker ps -q --filter 'name=${config.dbContainer}'"`);
+        const dbContainer = getDbContainer();
         if (!dbContainer) {
           return { content: [{ type: 'text', text: `Error: Database container not found (filter: ${config.dbContainer})
 
@@ -683,17 +4010,201 @@ To fix:
   "shsu": {
     "dbContainer": "supabase-db"
   }
-}` }] };
+}` }], isError: true };
+        }
+        const applied = getAppliedMigrations(dbContainer);
+        if (!applied) {
+          return { content: [{ type: 'text', text: `Error: Could not read ${MIGRATIONS_TABLE} from the database.` }], isError: true };
+        }
+        const { pending, modified } = planMigrations(migrations, applied);
+        let output = '';
+        for (const m of modified) {
+          output += `WARNING: ${m.name} was modified after it was applied (checksum mismatch) - it will NOT be re-run\n`;
+        }
+        if (pending.length === 0) {
+          return { content: [{ type: 'text', text: `${output}Database is up to date (${migrations.length} migration(s) applied).` }] };
+        }
+        if (args.dryRun) {
+          output += `Dry run: ${pending.length} pending migration(s) would run in this order:\n${formatMigrationPlan(pending)}\n`;
+          if (args.verify) {
+            const result = verifyMigrations(dbContainer, pending);
+            for (const m of result.skipped) {
+              output += `\nWARNING: ${m.name} ${hasTransactionControl(m.sql) ? 'manages its own transaction' : 'runs without a transaction'} and was not verified`;
+            }
+            if (!result.ok) {
+              const file = result.failed?.migration || { name: 'pending migrations', sql: '' };
+              return { content: [{ type: 'text', text: `${output}\n${formatMigrationFailure(file, result, 'verify')}` }], isError: true };
+            }
+            output += '\nAll verified migrations ran without errors (rolled back).\n';
+          }
+          output += '\nDry run - nothing was changed.';
+          return { content: [{ type: 'text', text: output }] };
         }
-        // Run migrations (pipe via stdin since container can't see host filesystem)
-        for (const migration of migrations) {
-          output += `\nRunning ${migration}...\n`;
-          output += captureExec(`ssh ${config.server} "cat /tmp/shsu-migrations/${migration} | docker exec -i ${dbContainer} psql -U postgres -d postgres"`) + '\n';
+        output += `Found ${pending.length} pending migration(s): ${pending.map((m) => m.name).join(', ')}\n`;
+        // Run pending migrations, stopping at the first failure
+        for (const migration of pending) {
+          output += `\nRunning ${migration.name}...\n`;
+          if (hasTransactionControl(migration.sql)) output += `WARNING: ${ownTransactionWarning(migration.name)}\n`;
+          const result = applyMigration(dbContainer, migration);
+          if (!result.ok) {
+            output += result.stdout ? `${result.stdout}\n` : '';
+            return { content: [{ type: 'text', text: `${output}\n${formatMigrationFailure(migration, result)}` }], isError: true };
+          }
+          output += [result.stdout, result.stderr].filter(Boolean).join('\n') + '\n';
         }
         output += '\nAll migrations applied.';
         return { content: [{ type: 'text', text: output }] };
       }
 
+      case 'seed': {
+        if (!config.server) {
+          return { content: [{ type: 'text', text: `Error: server must be configured.
+
+To fix, add to package.json:
+{
+  "shsu": {
+    "server": "root@your-server.com",
+    "dbContainer": "postgres"
+  }
+}` }], isError: true };
+        }
+        const seeds = getSeedFiles();
+        if (seeds.length === 0) {
+          return { content: [{ type: 'text', text: `No seed files found at ${config.seedPath}
+
+Add seed data to ./supabase/seed.sql (or .sql files in ./supabase/seeds/), or set seedPath in package.json.
+Seeds run on every call, so write them idempotently, e.g. INSERT ... ON CONFLICT DO NOTHING.` }] };
+        }
+        const dbContainer = getDbContainer();
+        if (!dbContainer) {
+          return { content: [{ type: 'text', text: `Error: Database container not found (filter: ${config.dbContainer})` }], isError: true };
+        }
+        let output = '';
+        for (const seed of seeds) {
+          output += `Seeding ${seed.name}...\n`;
+          const result = runMigrationSql(dbContainer, seed.sql);
+          if (!result.ok) {
+            return { content: [{ type: 'text', text: `${output}\n${formatMigrationFailure(seed, result, 'run')}` }], isError: true };
+          }
+          output += [result.stdout, result.stderr].filter(Boolean).join('\n') + '\n';
+        }
+        output += '\nSeed data loaded.';
+        return { content: [{ type: 'text', text: output }] };
+      }
+
+      case 'query': {
+        if (!config.server) {
+          return { content: [{ type: 'text', text: `Error: server must be configured.
+
+To fix, add to package.json:
+{
+  "shsu": {
+    "server": "root@your-server.com",
+    "dbContainer": "postgres"
+  }
+}` }], isError: true };
+        }
+        if (!args.sql) {
+          return { content: [{ type: 'text', text: `Error: sql is required.
+
+Usage: query tool with { "sql": "select * from public.users limit 10" }` }], isError: true };
+        }
+        const dbContainer = getDbContainer();
+        if (!dbContainer) {
+          return { content: [{ type: 'text', text: `Error: Database container not found (filter: ${config.dbContainer})` }], isError: true };
+        }
+        const readOnly = args.readOnly !== false;
+        const result = runQuery(dbContainer, args.sql, { readOnly });
+        if (!result.ok) {
+          return { content: [{ type: 'text', text: `Error: ${result.stderr || 'Query failed'}${readOnly ? '\n\n(ran in read-only mode - pass readOnly: false to allow writes)' : ''}` }], isError: true };
+        }
+        const maxRows = args.maxRows || 100;
+        const truncated = result.rows.length > maxRows;
+        const rows = result.rows.slice(0, maxRows);
+        const stdout = result.stdout.split('\n').slice(0, maxRows + 1).join('\n');
+        let text = formatQueryResult({ ...result, rows, stdout }, args.format);
+        if (truncated) text += `\n\n(showing ${maxRows} of ${result.rows.length} rows)`;
+        return { content: [{ type: 'text', text }] };
+      }
+
+      case 'logs':
+      case 'db_logs': {
+        if (!config.server) {
+          return { content: [{ type: 'text', text: `Error: server must be configured.
+
+To fix, add to package.json:
+{
+  "shsu": {
+    "server": "root@your-server.com",
+    "edgeContainer": "edge",
+    "dbContainer": "postgres"
+  }
+}` }], isError: true };
+        }
+        const db = name === 'db_logs';
+        const source = db
+          ? { container: config.dbContainer, parse: parseDbLogLine }
+          : { container: config.edgeContainer, parse: parseLogLine };
+        const lines = Math.min(Math.max(Number(args.lines) || 100, 1), 1000);
+        const result = await recentLogs(source, {
+          lines,
+          since: args.since,
+          until: args.until,
+          func: db ? undefined : args.name,
+          level: args.level,
+          grep: args.grep,
+        });
+        if (result.error) {
+          return { content: [{ type: 'text', text: `Error: ${result.error}` }], isError: true };
+        }
+        const label = db ? 'postgres log' : `log${args.name ? ` (${args.name})` : ''}`;
+        return { content: [{ type: 'text', text: formatLogResponse(result, { label, showFunction: !db && !args.name }) }] };
+      }
+
+      case 'migrate_status': {
+        if (!config.server) {
+          return { content: [{ type: 'text', text: `Error: server must be configured.
+
+To fix, add to package.json:
+{
+  "shsu": {
+    "server": "root@your-server.com",
+    "dbContainer": "postgres"
+  }
+}` }], isError: true };
+        }
+        const local = existsSync(config.migrationsPath) ? getLocalMigrations() : [];
+        const dbContainer = getDbContainer();
+        if (!dbContainer) {
+          return { content: [{ type: 'text', text: `Error: Database container not found (filter: ${config.dbContainer})` }], isError: true };
+        }
+        const applied = getAppliedMigrations(dbContainer);
+        if (!applied) {
+          return { content: [{ type: 'text', text: `Error: Could not read ${MIGRATIONS_TABLE} from the database.` }], isError: true };
+        }
+        const rows = getMigrationStatus(local, applied);
+        if (rows.length === 0) {
+          return { content: [{ type: 'text', text: `No migrations found in ${config.migrationsPath} or on the server.` }] };
+        }
+        const lines = rows.map((r) => `${r.state.padEnd(8)}  ${r.name}${r.appliedAt ? `  (applied ${r.appliedAt})` : ''}`);
+        return { content: [{ type: 'text', text: `Migrations (${config.migrationsPath}):\n${lines.join('\n')}` }] };
+      }
+
+      case 'migrate_new': {
+        if (!args.name) {
+          return { content: [{ type: 'text', text: `Error: migration name is required.
+
+Usage: migrate_new tool with { "name": "add_orders_table" }` }], isError: true };
+        }
+        const { filePath, outOfOrder, error: err } = createMigrationFile(args.name);
+        if (err) {
+          return { content: [{ type: 'text', text: `Error: ${err}` }], isError: true };
+        }
+        let text = `Created ${filePath}\n\nWrite the SQL into this file, then use the 'migrate' tool to apply it.`;
+        if (outOfOrder) text += `\n\nWarning: ${outOfOrder} sorts after the new file - check the migration order.`;
+        return { content: [{ type: 'text', text }] };
+      }
+
       case 'docs': {
         return {
           content: [{
@@ -719,10 +4230,22 @@ Deploy and manage Supabase Edge Functions on Coolify-hosted Supabase.
 
 Or run \`npx shsu init\` for interactive setup.
 
+Projects without a package.json can use the same object (without the "shsu" wrapper) in
+shsu.config.json or supabase/shsu.json, and SHSU_* values in .env / .env.local.
+Precedence: environment variables > .env.local > .env > shsu.config.json > supabase/shsu.json > package.json.
+
+For several servers (e.g. staging and production), put per-server values under
+\`"environments": { "staging": { ... }, "production": { ... } }\` and pick one with
+\`"defaultEnvironment"\`. Every tool accepts an \`env\` argument to target another environment.
+
 2. **Find configuration values** by SSH'ing to your server:
    - Container names: \`docker ps\` (Coolify uses pattern \`<service>-<uuid>\`)
    - Remote path: \`docker inspect $(docker ps -q --filter 'name=edge') | grep -A 5 "Mounts"\`
 
+3. **Verify the setup** with the \`doctor\` tool. It checks ssh/rsync/deno, the SSH login, Docker
+   access, that each container filter matches exactly one container, that remotePath is mounted
+   into the edge container and that url responds, with a fix hint for every failed check.
+
 ## Directory Structure
 
 \`\`\`
@@ -734,9 +4257,10 @@ your-project/
 │   │   │   └── index.ts
 │   │   └── another-func/
 │   │       └── index.ts
-│   └── migrations/       # SQL migrations (default migrationsPath)
-│       ├── 001_create_users.sql
-│       └── 002_add_indexes.sql
+│   ├── migrations/       # SQL migrations (default migrationsPath)
+│   │   ├── 001_create_users.sql
+│   │   └── 002_add_indexes.sql
+│   └── seed.sql          # Seed data (default seedPath)
 \`\`\`
 
 ## Configuration Options
@@ -746,10 +4270,14 @@ your-project/
 | server | Yes | - | SSH host (e.g., root@server.com) |
 | remotePath | Yes | - | Remote path to functions directory |
 | url | For invoke | - | Supabase URL |
+| anonKey | No | $SUPABASE_ANON_KEY | Anon key for \`invoke\` with auth "anon" |
+| serviceRoleKey | No | $SUPABASE_SERVICE_ROLE_KEY | Service role key for \`invoke\` with auth "service-role" |
 | localPath | No | ./supabase/functions | Local functions path |
 | migrationsPath | No | ./supabase/migrations | Local migrations path |
+| seedPath | No | ./supabase/seed.sql | Seed file or folder of .sql files |
 | edgeContainer | No | edge | Edge runtime container filter |
 | dbContainer | No | postgres | Database container filter |
+| secretsFile | No | <remotePath>/.env | Remote env file with function secrets |
 
 ## Edge Function Template
 
@@ -769,14 +4297,42 @@ Deno.serve(async (req) => {
 
 1. Create function: \`new\` tool with function name
 2. Edit the function code in supabase/functions/<name>/index.ts
-3. Deploy: \`deploy\` tool (syncs via rsync, restarts edge-runtime)
-4. Test: \`invoke\` tool with JSON data
-5. Debug: Check logs on the server
+3. Deploy: \`deploy\` tool (runs deno check, syncs via rsync, restarts edge-runtime).
+   If the checks fail, nothing is deployed and the errors are returned with file, line and column.
+   After the restart the functions listed in the "healthChecks" config are requested; if one
+   fails, the previous version is restored automatically. Every deploy is kept as a release on the server;
+   \`shsu releases\` and \`shsu rollback [name]\` on the command line list and restore them.
+   Deploying one function also syncs the local files it imports from outside its folder
+   (e.g. ../_shared/cors.ts, or paths mapped in deno.json / import_map.json).
+   Files matching .shsuignore (gitignore syntax, in the functions root or a function folder)
+   and the "exclude" config are never deployed. Pass \`dryRun: true\` to preview the changes first. Deploying all functions refuses to delete
+   functions that only exist on the server unless \`yes: true\` is passed.
+4. Test: \`invoke\` tool with JSON data (add auth: "anon" for functions that verify JWTs;
+   method, query, headers and form are available for other requests)
+5. Debug: \`logs\` tool with the function name (add level: "error" to see only errors)
 
 ## Migrations
 
 Place .sql files in supabase/migrations/. They execute alphabetically.
-Use \`migrate\` tool to run all migrations via psql in the database container.`,
+Use \`migrate\` tool to run pending migrations via psql in the database container.
+Applied files are recorded in shsu.schema_migrations (name, checksum, applied_at) and skipped
+on later runs. Don't edit a migration after it was applied - add a new file instead.
+Use \`migrate_new\` to create a timestamped file and \`migrate_status\` to see what is pending.
+Pass \`dryRun: true\` to \`migrate\` to see the plan first (add \`verify: true\` to run it in a
+transaction that is rolled back).
+Use \`secrets_set\` / \`secrets_unset\` / \`secrets_list\` to manage function secrets (env vars).
+Functions only see them once the main service loads the secrets file: \`shsu secrets setup\` on the
+command line adds the loader to supabase/functions/main, which then has to be deployed.
+Use \`query\` to inspect data (read-only unless readOnly: false is passed).
+Use \`db_logs\` (e.g. level: "error") to see the postgres log after a failed migration.
+Use \`seed\` to load fixture/reference data from seedPath (a file or folder of .sql files).
+An optional paired down file (e.g. 003_add_orders.down.sql) reverts a migration with
+\`shsu migrate rollback\` on the command line.
+
+Each file runs in its own transaction and execution stops at the first SQL error, so a failed
+migration leaves the database unchanged. Add a \`-- shsu:no-transaction\` comment to files with
+statements that can't run in a transaction (e.g. CREATE INDEX CONCURRENTLY). Files with their
+own BEGIN/COMMIT run as they are too, and are skipped by verify.`,
           }],
         };
       }
@@ -816,14 +4372,25 @@ Use \`migrate\` tool to run all migrations via psql in the database container.`,
         respond(id, { tools });
         break;
 
-      case 'tools/call':
+      case 'tools/call': {
+        const { env, ...toolArgs } = params.arguments || {};
+        const defaultConfig = config;
         try {
-          const result = await handleTool(params.name, params.arguments || {});
-          respond(id, result);
+          if (env) {
+            config = loadConfig(env);
+          }
+          if (config.environmentError) {
+            respond(id, { content: [{ type: 'text', text: `Error: ${config.environmentError}` }], isError: true });
+          } else {
+            respond(id, await handleTool(params.name, toolArgs));
+          }
         } catch (e) {
           respond(id, { content: [{ type: 'text', text: `Error: ${e.message}` }], isError: true });
+        } finally {
+          config = defaultConfig;
         }
         break;
+      }
 
       default:
         if (id !== undefined) {
@@ -845,37 +4412,105 @@ ${c.yellow('Commands:')}
 
   deploy [name]        Deploy function(s) to server
                        - No args: deploy all functions
-                       - With name: deploy single function
-                       Options: --no-restart
-
-  migrate              Run SQL migrations on database
-
-  logs [filter]        Stream edge-runtime logs
-                       - Optional filter string
+                       - With name: deploy single function, plus the files
+                         it imports from outside its folder (e.g. _shared)
+                       Runs deno check first (see "checks" config), then
+                       health-checks the functions in "healthChecks" and
+                       rolls back on failure
+                       Exit codes: 0 ok, 1 failed (rolled back), 2 rollback failed
+                       Asks before removing functions from the server
+                       Options: --no-restart, --skip-checks,
+                       --skip-health-check, --dry-run (show changes only),
+                       --yes, --watch (redeploy changed functions on save
+                       and show edge-runtime logs)
+
+  diff [name]          Show which files a deploy would add, change or delete,
+                       with a diff of each changed file
+
+  migrate              Run pending SQL migrations on database
+                       Options: --dry-run (show plan only), --verify (with
+                       --dry-run: run in a rolled-back transaction),
+                       --backup (back up the database first)
+  migrate status       Show applied/pending/modified migrations
+  migrate new <name>   Create a timestamped migration file
+  migrate rollback     Revert the last applied migration using its .down.sql file
+                       Options: --steps N, --to <name>
+
+  db dump [file]       Dump the database schema (default: ./supabase/schema.sql)
+                       Options: --schema public,other ('-' as file: stdout)
+  db diff              Compare the live schema with one built from migrations
+                       Options: --schema public,other
+  db psql              Open an interactive psql session on the server
+  db query "<sql>"     Run a single statement and print the result
+                       Options: --json, --csv, --read-only
+  db seed              Load seed data from seedPath into the database
+  db backup [file]     Back up the database (default: ./supabase/backups/)
+                       Options: --remote (write the file on the server)
+  db restore <file>    Restore a backup into the database
+                       Options: --remote (file is on the server), --yes
+
+  logs [name]          Stream edge-runtime logs, optionally of one function
+                       Options: --since 1h, --until 30m, --no-follow,
+                       --tail 100, --level warn, --grep <text>, --json
+
+  serve [name]         Run functions locally at /functions/v1/<name>
+                       Reloads on change; uses deno, or Docker if not found
+                       Options: --port 54321, --env-file <file>, --docker
+
+  list                 List functions (local and remote, without _shared etc.)
+
+  invoke <n> [json]    Send a request to a function (POST {} by default)
+                       Options: --method GET, --header 'Name: value',
+                       --query key=value, --data @file.json, --form key=@file,
+                       --anon, --service-role, --user <jwt>, -i (status,
+                       headers and timing)
 
-  list                 List functions (local and remote)
+  restart              Restart edge-runtime container
 
-  invoke <n> [json]    Invoke a function
+  releases [name]      List deploy releases kept on the server
+  rollback [name]      Restore the previous release and restart edge-runtime
+                       - No args: undo the last deploy or rollback
+                       Options: --to <release>, --no-restart
 
-  restart              Restart edge-runtime container
+  secrets list         List edge function secrets (values masked)
+  secrets set K=V ...  Set secrets and restart edge-runtime
+                       Options: --env-file <file>, --no-restart
+  secrets unset K ...  Remove secrets and restart edge-runtime
+  secrets setup        Make the main service load the secrets file (once,
+                       then deploy main)
 
   new <name>           Create new function from template
 
   env                  Show current configuration
 
+  doctor               Check local tools, SSH, Docker, containers, remotePath
+                       and url, with a hint for each problem
+
   mcp                  Start MCP server (for AI assistants)
 
 ${c.yellow('Examples:')}
   shsu init
   shsu deploy
   shsu deploy hello-world --no-restart
+  shsu deploy --watch
+  shsu diff hello-world
   shsu migrate
+  shsu migrate new add_orders_table
+  shsu db diff
   shsu logs hello-world
   shsu invoke hello-world '{"name":"Stefan"}'
+  shsu invoke hello-world --method GET --query name=Stefan --anon -i
   shsu new my-function
+  shsu deploy --env production
+
+${c.yellow('Global options:')}
+  --env <name>         Use a named environment from the "environments" key
+                       (package.json "shsu", shsu.config.json or
+                       supabase/shsu.json)
 
 ${c.yellow('Setup:')}
-  Run 'shsu init' to configure, or set values in package.json "shsu" key.
+  Run 'shsu init' to configure, or set values in package.json "shsu" key,
+  shsu.config.json, supabase/shsu.json or SHSU_* entries in .env / .env.local.
 `);
 }
 
@@ -883,36 +4518,185 @@ ${c.yellow('Setup:')}
 // Main
 // ─────────────────────────────────────────────────────────────
 async function main() {
-  const args = process.argv.slice(2);
+  const args = argv;
   const cmd = args[0] || 'help';
 
+  if (config.environmentError) {
+    error(config.environmentError);
+  }
+
   try {
     switch (cmd) {
       case 'deploy': {
         const noRestart = args.includes('--no-restart');
-        const funcName = args[1] === '--no-restart' ? args[2] : args[1];
-        await cmdDeploy(funcName, noRestart);
+        const funcName = args.slice(1).find((a) => !a.startsWith('-'));
+        if (args.includes('--watch')) {
+          await cmdDeployWatch(funcName, { noRestart, skipChecks: args.includes('--skip-checks') });
+        } else {
+          await cmdDeploy(funcName, noRestart, {
+            skipChecks: args.includes('--skip-checks'),
+            skipHealthCheck: args.includes('--skip-health-check'),
+            dryRun: args.includes('--dry-run'),
+            yes: args.includes('--yes') || args.includes('-y'),
+          });
+        }
         break;
       }
       case 'logs':
-      case 'log':
-        await cmdLogs(args[1], args[2] || 100);
+      case 'log': {
+        const options = {
+          tail: takeOption(args, 'tail'),
+          since: takeOption(args, 'since'),
+          until: takeOption(args, 'until'),
+          level: takeOption(args, 'level'),
+          grep: takeOption(args, 'grep'),
+          follow: !args.includes('--no-follow'),
+          json: args.includes('--json'),
+        };
+        const [funcName, lines] = args.slice(1).filter((a) => !a.startsWith('--'));
+        await cmdLogs(funcName, { ...options, tail: options.tail ?? lines });
+        break;
+      }
+      case 'serve': {
+        const port = getOption(args, 'port');
+        const funcName = args.slice(1).find((a, i, rest) => !a.startsWith('--') && !['--port', '--env-file', '--image'].includes(rest[i - 1]));
+        await cmdServe(funcName, {
+          port: port ? Number(port) : undefined,
+          envFile: getOption(args, 'env-file'),
+          docker: args.includes('--docker'),
+          image: getOption(args, 'image'),
+        });
         break;
+      }
       case 'list':
       case 'ls':
         await cmdList();
         break;
       case 'invoke':
-      case 'call':
-        await cmdInvoke(args[1], args[2]);
+      case 'call': {
+        if (args.includes('--anon') && args.includes('--service-role')) {
+          error('Use either --anon or --service-role, not both');
+        }
+        const options = {
+          method: takeOption(args, 'method'),
+          headers: takeOptions(args, 'header'),
+          query: takeOptions(args, 'query'),
+          data: takeOption(args, 'data'),
+          form: takeOptions(args, 'form'),
+          user: takeOption(args, 'user'),
+          auth: args.includes('--service-role') ? 'service-role' : args.includes('--anon') ? 'anon' : undefined,
+          include: args.includes('-i') || args.includes('--include'),
+        };
+        const [funcName, data] = args.slice(1).filter((a) => !a.startsWith('-'));
+        await cmdInvoke(funcName, { ...options, data: options.data ?? data });
         break;
+      }
       case 'restart':
         await cmdRestart();
         break;
+      case 'diff':
+        await cmdDiff(args[1]);
+        break;
+      case 'releases':
+        await cmdReleases(args[1]);
+        break;
+      case 'rollback': {
+        const to = takeOption(args, 'to');
+        const funcName = args.slice(1).find((a) => !a.startsWith('--'));
+        await cmdRollback(funcName, { to, noRestart: args.includes('--no-restart') });
+        break;
+      }
+      case 'secrets':
+      case 'secret': {
+        const noRestart = args.includes('--no-restart');
+        const envFile = takeOption(args, 'env-file');
+        const rest = args.slice(2).filter((a) => a !== '--no-restart');
+        switch (args[1]) {
+          case 'list':
+          case 'ls':
+          case undefined:
+            await cmdSecretsList();
+            break;
+          case 'set':
+            await cmdSecretsSet(rest, { envFile, noRestart });
+            break;
+          case 'unset':
+          case 'rm':
+            await cmdSecretsUnset(rest, { noRestart });
+            break;
+          case 'setup':
+            await cmdSecretsSetup();
+            break;
+          default:
+            error(`Unknown secrets subcommand: ${args[1]} (try 'shsu help')`);
+        }
+        break;
+      }
       case 'migrate':
       case 'migration':
       case 'migrations':
-        await cmdMigrate();
+        switch (args[1]) {
+          case undefined:
+          case 'up':
+          case '--dry-run':
+          case '--verify':
+          case '--backup':
+            await cmdMigrate({
+              dryRun: args.includes('--dry-run'),
+              verify: args.includes('--verify'),
+              backup: args.includes('--backup'),
+            });
+            break;
+          case 'status':
+            await cmdMigrateStatus();
+            break;
+          case 'new':
+          case 'create':
+            await cmdMigrateNew(args.slice(2).join(' '));
+            break;
+          case 'rollback':
+          case 'down': {
+            const steps = getOption(args, 'steps');
+            await cmdMigrateRollback({ steps: steps === undefined ? 1 : Number(steps), to: getOption(args, 'to') });
+            break;
+          }
+          default:
+            error(`Unknown migrate subcommand: ${args[1]} (try 'shsu help')`);
+        }
+        break;
+      case 'db':
+        switch (args[1]) {
+          case 'dump':
+            await cmdDbDump(args[2] && !args[2].startsWith('--') ? args[2] : undefined, { schema: getOption(args, 'schema') });
+            break;
+          case 'psql':
+          case 'shell':
+            await cmdDbPsql();
+            break;
+          case 'query': {
+            const format = args.includes('--json') ? 'json' : args.includes('--csv') ? 'csv' : 'table';
+            await cmdDbQuery(args[2], { format, readOnly: args.includes('--read-only') });
+            break;
+          }
+          case 'seed':
+            await cmdDbSeed();
+            break;
+          case 'diff':
+            await cmdDbDiff({ schema: getOption(args, 'schema') });
+            break;
+          case 'backup': {
+            const file = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
+            await cmdDbBackup(file, { remote: args.includes('--remote') });
+            break;
+          }
+          case 'restore': {
+            const file = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
+            await cmdDbRestore(file, { remote: args.includes('--remote'), yes: args.includes('--yes') });
+            break;
+          }
+          default:
+            error(`Unknown db subcommand: ${args[1] || '(none)'} (try 'shsu help')`);
+        }
         break;
       case 'new':
       case 'create':
@@ -928,6 +4712,9 @@ async function main() {
       case 'config':
         cmdEnv();
         break;
+      case 'doctor':
+        await cmdDoctor();
+        break;
       case 'help':
       case '-h':
       case '--help':